@@ -0,0 +1,279 @@
+/**
+ * drpl.co - Configuration
+ * Loads server settings from defaults, a JSON file, environment variables and command line flags
+ */
+
+const fs = require('fs');
+
+// ======================================================================
+// DEFAULTS
+// ======================================================================
+
+const DEFAULTS = {
+    port: 3002,
+
+    // Signs peer IDs (read from peerIdSecretFile if empty, which is created on first run)
+    peerIdSecret: null,
+    peerIdSecretFile: '.peer-id-secret',
+
+    // Only believe X-Forwarded-For from these proxies
+    trustedProxies: {
+        proxies: ['127.0.0.0/8', '::1'],
+        hops: 0
+    },
+
+    // Network room grouping rules (see lib/room-policy.js)
+    roomPolicy: {},
+
+    // host:port of a broker shared with other instances (see lib/room-store)
+    roomBroker: null,
+
+    // Bearer token required for /metrics (open if empty)
+    metricsToken: null,
+
+    // Timeouts, in milliseconds
+    timeouts: {
+        keepAlive: 30000, // Between pings; peers are dropped after missing two
+        resumeGrace: 15000, // How long a dropped tab keeps its place (0 to disable)
+        shutdown: 5000 // Longest wait for relays to drain on shutdown
+    },
+
+    // Limits on what a single client may send
+    limits: {
+        maxPayload: 2 * 1024 * 1024,
+        rateLimits: {
+            peer: { rate: 200, burst: 400 },
+            ip: { rate: 500, burst: 1000 }
+        }
+    },
+
+    // WebRTC servers handed to clients
+    iceServers: [
+        { urls: 'stun:stun.l.google.com:19302' }
+    ],
+
+    // TURN server sharing a secret with us (TURN REST API, e.g. coturn's use-auth-secret)
+    turn: {
+        secret: null,
+        urls: [], // e.g. turn:turn.example.com:3478
+        ttl: 86400 // Credential lifetime, in seconds
+    },
+
+    // Optional features
+    features: {
+        pairingRooms: true,
+        invites: true,
+        nicknames: true
+    }
+};
+
+// ======================================================================
+// OPTION SOURCES
+// ======================================================================
+
+/**
+ * Settings that can be changed from the environment or the command line
+ * Anything else can still be set in the config file
+ */
+const OPTIONS = [
+    { path: 'port', env: 'PORT', flag: 'port', type: 'integer' },
+    { path: 'peerIdSecret', env: 'PEER_ID_SECRET', flag: 'peer-id-secret', type: 'string' },
+    { path: 'peerIdSecretFile', env: 'PEER_ID_SECRET_FILE', flag: 'peer-id-secret-file', type: 'string' },
+    { path: 'trustedProxies.proxies', env: 'TRUSTED_PROXIES', flag: 'trusted-proxies', type: 'list' },
+    { path: 'trustedProxies.hops', env: 'TRUSTED_PROXY_HOPS', flag: 'trusted-proxy-hops', type: 'integer' },
+    { path: 'roomPolicy', env: 'ROOM_POLICY', flag: 'room-policy', type: 'file' },
+    { path: 'roomBroker', env: 'ROOM_BROKER', flag: 'room-broker', type: 'string' },
+    { path: 'metricsToken', env: 'METRICS_TOKEN', flag: 'metrics-token', type: 'string' },
+    { path: 'timeouts.keepAlive', env: 'KEEPALIVE_TIMEOUT', flag: 'keepalive-timeout', type: 'integer' },
+    { path: 'timeouts.resumeGrace', env: 'RESUME_GRACE', flag: 'resume-grace', type: 'integer' },
+    { path: 'timeouts.shutdown', env: 'SHUTDOWN_TIMEOUT', flag: 'shutdown-timeout', type: 'integer' },
+    { path: 'limits.maxPayload', env: 'MAX_PAYLOAD', flag: 'max-payload', type: 'integer' },
+    { path: 'iceServers', env: 'ICE_SERVERS', flag: 'ice-servers', type: 'json' },
+    { path: 'turn.secret', env: 'TURN_SECRET', flag: 'turn-secret', type: 'string' },
+    { path: 'turn.urls', env: 'TURN_URLS', flag: 'turn-urls', type: 'list' },
+    { path: 'turn.ttl', env: 'TURN_TTL', flag: 'turn-ttl', type: 'integer' },
+    { path: 'features.pairingRooms', env: 'FEATURE_PAIRING_ROOMS', flag: 'pairing-rooms', type: 'boolean' },
+    { path: 'features.invites', env: 'FEATURE_INVITES', flag: 'invites', type: 'boolean' },
+    { path: 'features.nicknames', env: 'FEATURE_NICKNAMES', flag: 'nicknames', type: 'boolean' }
+];
+
+/**
+ * Convert a string from the environment or command line to a setting
+ * @param {string} value - Raw value
+ * @param {string} type - Setting type
+ * @param {string} source - Where the value came from (for error messages)
+ * @returns {any} - Parsed value
+ */
+function parseValue(value, type, source) {
+    switch (type) {
+        case 'integer': {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 0) {
+                throw new Error(`${source} must be a whole number, got "${value}"`);
+            }
+            return number;
+        }
+        case 'boolean':
+            if (/^(1|true|yes|on)$/i.test(value)) return true;
+            if (/^(0|false|no|off)$/i.test(value)) return false;
+            throw new Error(`${source} must be true or false, got "${value}"`);
+        case 'list':
+            return value.split(',').map(entry => entry.trim()).filter(Boolean);
+        case 'json':
+            return parseJSON(value, source);
+        case 'file':
+            return readJSON(value, source);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Parse JSON with a helpful error
+ * @param {string} text - JSON text
+ * @param {string} source - Where the text came from
+ * @returns {any} - Parsed value
+ */
+function parseJSON(text, source) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${source} is not valid JSON: ${e.message}`);
+    }
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - File path
+ * @param {string} source - Where the path came from
+ * @returns {any} - Parsed contents
+ */
+function readJSON(file, source) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw new Error(`Cannot read ${file} (from ${source}): ${e.message}`);
+    }
+    return parseJSON(text, file);
+}
+
+/**
+ * Parse command line flags
+ * Accepts --name value, --name=value and bare --name for true
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object<string, string>} - Raw flag values by name
+ */
+function parseFlags(argv) {
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+
+        if (match[2] !== undefined) {
+            flags[match[1]] = match[2];
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            flags[match[1]] = argv[++i];
+        } else {
+            flags[match[1]] = 'true';
+        }
+    }
+    return flags;
+}
+
+// ======================================================================
+// LOADING
+// ======================================================================
+
+/**
+ * Deep merge plain objects (arrays and other values are replaced)
+ * @param {Object} target - Object to merge into (modified)
+ * @param {Object} source - Values to apply
+ * @returns {Object} - The target
+ */
+function merge(target, source) {
+    for (const key in source) {
+        const value = source[key];
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+
+        if (isObject && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+            merge(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+/**
+ * Set a value at a dotted path
+ * @param {Object} target - Object to modify
+ * @param {string} path - e.g. timeouts.keepAlive
+ * @param {any} value - Value to set
+ */
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((object, key) => object[key], target)[last] = value;
+}
+
+/**
+ * Load the server configuration
+ * Later sources win: defaults, config file, environment, command line
+ * @param {Object} [sources] - Where to read settings from
+ * @param {Array<string>} [sources.argv] - Command line arguments (defaults to process.argv)
+ * @param {Object} [sources.env] - Environment (defaults to process.env)
+ * @returns {Object} - Configuration
+ */
+function load(sources = {}) {
+    const argv = sources.argv || process.argv.slice(2);
+    const env = sources.env || process.env;
+    const flags = parseFlags(argv);
+
+    const config = merge({}, JSON.parse(JSON.stringify(DEFAULTS)));
+
+    // Config file given with --config or DRPL_CONFIG
+    const file = flags.config || env.DRPL_CONFIG;
+    if (file) {
+        merge(config, readJSON(file, flags.config ? '--config' : 'DRPL_CONFIG'));
+    }
+    delete flags.config;
+
+    for (const option of OPTIONS) {
+        if (env[option.env] !== undefined && env[option.env] !== '') {
+            setPath(config, option.path, parseValue(env[option.env], option.type, option.env));
+        }
+    }
+
+    for (const option of OPTIONS) {
+        if (flags[option.flag] !== undefined) {
+            setPath(config, option.path, parseValue(flags[option.flag], option.type, '--' + option.flag));
+            delete flags[option.flag];
+        }
+    }
+
+    const unknown = Object.keys(flags);
+    if (unknown.length) {
+        throw new Error(`Unknown option: --${unknown[0]}`);
+    }
+
+    return config;
+}
+
+/**
+ * Pick the settings clients need (served on /config)
+ * @param {Object} config - Server configuration
+ * @returns {Object} - Client configuration
+ */
+function forClient(config) {
+    return {
+        iceServers: config.iceServers,
+        features: config.features
+    };
+}
+
+module.exports = {
+    DEFAULTS,
+    load,
+    forClient
+};
@@ -0,0 +1,168 @@
+/**
+ * drpl.co - IP Address Helpers
+ * Parsing, normalization and CIDR matching for IPv4 and IPv6 addresses
+ */
+
+const net = require('net');
+
+// ======================================================================
+// PARSING
+// ======================================================================
+
+/**
+ * Normalize an address as reported by Node or a proxy header
+ * Strips IPv6 zone IDs and unwraps IPv4-mapped IPv6 addresses
+ * @param {string} address - Raw address
+ * @returns {string|null} - Normalized address, or null if it is not an IP
+ */
+function normalize(address) {
+    if (typeof address !== 'string') return null;
+
+    let ip = address.trim().split('%')[0];
+
+    // Unwrap IPv4-mapped IPv6 (e.g. ::ffff:192.168.1.10)
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+    if (mapped) ip = mapped[1];
+
+    if (!net.isIP(ip)) return null;
+
+    // Treat every loopback address as the same machine
+    if (ip === '::1') return '127.0.0.1';
+
+    return ip.toLowerCase();
+}
+
+/**
+ * Convert an address to its numeric value
+ * @param {string} ip - Normalized IPv4 or IPv6 address
+ * @returns {{version: number, value: bigint}|null} - Parsed address
+ */
+function parse(ip) {
+    const version = net.isIP(ip);
+
+    if (version === 4) {
+        const value = ip.split('.')
+            .reduce((acc, part) => (acc << 8n) + BigInt(parseInt(part, 10)), 0n);
+        return { version, value };
+    }
+
+    if (version === 6) {
+        let hextets = ip.split('::');
+        let head = hextets[0] ? hextets[0].split(':') : [];
+        let tail = hextets.length > 1 && hextets[1] ? hextets[1].split(':') : [];
+
+        // An embedded IPv4 tail (e.g. 64:ff9b::1.2.3.4) counts as two hextets
+        const last = tail.length ? tail : head;
+        if (last.length && last[last.length - 1].includes('.')) {
+            const v4 = parse(last.pop()).value;
+            last.push((v4 >> 16n).toString(16), (v4 & 0xffffn).toString(16));
+        }
+
+        const missing = 8 - head.length - tail.length;
+        const parts = head.concat(new Array(hextets.length > 1 ? missing : 0).fill('0'), tail);
+        const value = parts.reduce((acc, part) => (acc << 16n) + BigInt(parseInt(part, 16)), 0n);
+        return { version, value };
+    }
+
+    return null;
+}
+
+/**
+ * Parse CIDR notation (a bare address is treated as a single host)
+ * @param {string} cidr - e.g. 10.0.0.0/8 or 2001:db8::/32
+ * @returns {{version: number, value: bigint, prefix: number}|null} - Parsed network
+ */
+function parseCidr(cidr) {
+    if (typeof cidr !== 'string') return null;
+
+    const [address, bits] = cidr.trim().split('/');
+    const ip = normalize(address);
+    const parsed = ip && parse(ip);
+    if (!parsed) return null;
+
+    const width = parsed.version === 4 ? 32 : 128;
+    const prefix = bits === undefined ? width : parseInt(bits, 10);
+    if (isNaN(prefix) || prefix < 0 || prefix > width) return null;
+
+    return {
+        version: parsed.version,
+        value: parsed.value & mask(prefix, width),
+        prefix
+    };
+}
+
+// ======================================================================
+// MATCHING
+// ======================================================================
+
+/**
+ * Build a network mask
+ * @param {number} prefix - Prefix length
+ * @param {number} width - Address width in bits
+ * @returns {bigint} - Mask with the top `prefix` bits set
+ */
+function mask(prefix, width) {
+    const all = (1n << BigInt(width)) - 1n;
+    return all ^ ((1n << BigInt(width - prefix)) - 1n);
+}
+
+/**
+ * Check whether an address falls inside a network
+ * @param {string} ip - Normalized address
+ * @param {Object} network - Network returned by parseCidr()
+ * @returns {boolean} - True if the address is inside the network
+ */
+function inNetwork(ip, network) {
+    const parsed = parse(ip);
+    if (!parsed || !network || parsed.version !== network.version) return false;
+
+    const width = parsed.version === 4 ? 32 : 128;
+    return (parsed.value & mask(network.prefix, width)) === network.value;
+}
+
+/**
+ * Get the network an address belongs to for a given prefix length
+ * @param {string} ip - Normalized address
+ * @param {number} prefix - Prefix length
+ * @returns {string} - Network in CIDR notation (e.g. 2001:db8:1:2::/64)
+ */
+function networkOf(ip, prefix) {
+    const parsed = parse(ip);
+    const width = parsed.version === 4 ? 32 : 128;
+    const value = parsed.value & mask(prefix, width);
+
+    return format(value, parsed.version) + '/' + prefix;
+}
+
+/**
+ * Format a numeric address
+ * @param {bigint} value - Address value
+ * @param {number} version - 4 or 6
+ * @returns {string} - Address string (IPv6 in compressed form)
+ */
+function format(value, version) {
+    if (version === 4) {
+        return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+    }
+
+    const hextets = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+        hextets.push(((value >> shift) & 0xffffn).toString(16));
+    }
+
+    // Collapse the longest run of zero hextets
+    const joined = ':' + hextets.join(':') + ':';
+    const runs = joined.match(/(:0)+:/g) || [];
+    const longest = runs.reduce((a, b) => (b.length > a.length ? b : a), '');
+    const compressed = longest.length > 3 ? joined.replace(longest, '::') : joined;
+
+    return compressed.replace(/^:(?!:)/, '').replace(/(?<!:):$/, '');
+}
+
+module.exports = {
+    normalize,
+    parse,
+    parseCidr,
+    inNetwork,
+    networkOf
+};
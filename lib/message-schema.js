@@ -0,0 +1,161 @@
+/**
+ * drpl.co - Message Schema
+ * Validates messages from clients before the server acts on them or relays them
+ */
+
+// ======================================================================
+// FIELD VALIDATORS
+// ======================================================================
+//
+// Each validator returns the cleaned value, or INVALID if the value is not
+// acceptable. Optional fields that are missing come back as undefined.
+
+const INVALID = Symbol('invalid');
+
+/**
+ * String with a maximum length
+ * @param {number} max - Maximum length
+ * @returns {Function} - Validator
+ */
+const string = max => value =>
+    typeof value === 'string' && value.length <= max ? value : INVALID;
+
+/**
+ * True or false
+ * @param {any} value - Value to check
+ * @returns {boolean|Symbol} - The value, or INVALID
+ */
+const boolean = value =>
+    typeof value === 'boolean' ? value : INVALID;
+
+/**
+ * Integer within a range
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Function} - Validator
+ */
+const integer = (min, max) => value =>
+    Number.isInteger(value) && value >= min && value <= max ? value : INVALID;
+
+/**
+ * One of a fixed set of values
+ * @param {Array} values - Allowed values
+ * @returns {Function} - Validator
+ */
+const oneOf = values => value =>
+    values.includes(value) ? value : INVALID;
+
+/**
+ * Field that may be missing
+ * @param {Function} validator - Validator for present values
+ * @returns {Function} - Validator
+ */
+const optional = validator => value =>
+    value === undefined ? undefined : validator(value);
+
+/**
+ * Field that may be null
+ * @param {Function} validator - Validator for other values
+ * @returns {Function} - Validator
+ */
+const nullable = validator => value =>
+    value === null ? null : validator(value);
+
+/**
+ * Object with known fields (unknown fields are dropped)
+ * @param {Object<string, Function>} fields - Validators by field name
+ * @returns {Function} - Validator
+ */
+const object = fields => value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return INVALID;
+
+    const clean = {};
+    for (const name in fields) {
+        const result = fields[name](value[name]);
+        if (result === INVALID) return INVALID;
+        if (result !== undefined) clean[name] = result;
+    }
+    return clean;
+};
+
+// ======================================================================
+// MESSAGE SCHEMAS
+// ======================================================================
+
+const peerId = string(64);
+
+// WebRTC session description (RTCSessionDescription.toJSON())
+const description = object({
+    type: oneOf(['offer', 'answer']),
+    sdp: string(64 * 1024)
+});
+
+// WebRTC ICE candidate (RTCIceCandidate.toJSON())
+const candidate = object({
+    candidate: string(1024),
+    sdpMid: optional(nullable(string(64))),
+    sdpMLineIndex: optional(nullable(integer(0, 1024))),
+    usernameFragment: optional(nullable(string(256)))
+});
+
+/**
+ * Fields allowed for each message type, besides `type` itself
+ */
+const SCHEMAS = {
+    'disconnect': {},
+    'pong': {},
+    'create-room': {},
+    'join-room': { code: string(16) },
+    'rejoin-room': { token: string(512) },
+    'leave-room': {},
+    'create-invite': {},
+    'set-name': { name: string(256) },
+    'session-active': {},
+    'session-release': {},
+    'turn-credentials': {},
+    'signal': { to: peerId, sdp: optional(description), ice: optional(candidate) },
+    'relay': { to: peerId, data: string(1024 * 1024) }
+};
+
+/**
+ * Message types the server forwards to the peer named in `to`
+ */
+const RELAYABLE = ['signal', 'relay'];
+
+// ======================================================================
+// VALIDATION
+// ======================================================================
+
+/**
+ * Validate a parsed client message
+ * @param {Object} message - Parsed JSON message
+ * @returns {Object|null} - Message with only the known fields, or null if it is invalid
+ */
+function validate(message) {
+    if (!message || typeof message !== 'object' || !SCHEMAS.hasOwnProperty(message.type)) {
+        return null;
+    }
+
+    const clean = object(SCHEMAS[message.type])(message);
+    if (clean === INVALID) return null;
+
+    // A signal carries either a description or a candidate
+    if (message.type === 'signal' && !clean.sdp === !clean.ice) return null;
+
+    clean.type = message.type;
+    return clean;
+}
+
+/**
+ * Check whether a message type may be relayed to another peer
+ * @param {string} type - Message type
+ * @returns {boolean} - True if relayable
+ */
+function isRelayable(type) {
+    return RELAYABLE.includes(type);
+}
+
+module.exports = {
+    validate,
+    isRelayable
+};
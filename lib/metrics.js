@@ -0,0 +1,202 @@
+/**
+ * drpl.co - Metrics
+ * Minimal metrics registry rendered in the Prometheus text exposition format
+ */
+
+// ======================================================================
+// HELPERS
+// ======================================================================
+
+/**
+ * Render a label set as {name="value",...}
+ * @param {Object<string, string>} [labels] - Label values
+ * @returns {string} - Label string (empty if there are no labels)
+ */
+function formatLabels(labels) {
+    const names = Object.keys(labels || {});
+    if (!names.length) return '';
+
+    const pairs = names.map(name => {
+        const value = String(labels[name])
+            .replace(/\\/g, '\\\\')
+            .replace(/\n/g, '\\n')
+            .replace(/"/g, '\\"');
+        return `${name}="${value}"`;
+    });
+    return '{' + pairs.join(',') + '}';
+}
+
+// ======================================================================
+// METRIC TYPES
+// ======================================================================
+
+/**
+ * Counter - Value that only goes up, optionally split by labels
+ */
+class Counter {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     */
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this._values = new Map();
+    }
+
+    /**
+     * Increase the counter
+     * @param {Object<string, string>} [labels] - Label values
+     * @param {number} [value=1] - Amount to add
+     */
+    inc(labels, value = 1) {
+        const key = formatLabels(labels);
+        this._values.set(key, (this._values.get(key) || 0) + value);
+    }
+
+    /**
+     * Render the current values
+     * @returns {Array<string>} - Sample lines
+     */
+    samples() {
+        if (!this._values.size) return [`${this.name} 0`];
+        return Array.from(this._values, ([labels, value]) => `${this.name}${labels} ${value}`);
+    }
+}
+
+/**
+ * Gauge - Value read from the server state whenever metrics are scraped
+ */
+class Gauge {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Function} collect - Returns the current value
+     */
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this._collect = collect;
+    }
+
+    /**
+     * Render the current value
+     * @returns {Array<string>} - Sample lines
+     */
+    samples() {
+        return [`${this.name} ${this._collect()}`];
+    }
+}
+
+/**
+ * Histogram - Distribution of values read from the server state when scraped
+ */
+class Histogram {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Array<number>} buckets - Upper bounds, in ascending order
+     * @param {Function} collect - Returns the current observations
+     */
+    constructor(name, help, buckets, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this._buckets = buckets;
+        this._collect = collect;
+    }
+
+    /**
+     * Render the bucket counts, sum and count
+     * @returns {Array<string>} - Sample lines
+     */
+    samples() {
+        const values = this._collect();
+        const lines = this._buckets.map(bound => {
+            const count = values.filter(value => value <= bound).length;
+            return `${this.name}_bucket${formatLabels({ le: bound })} ${count}`;
+        });
+
+        lines.push(`${this.name}_bucket${formatLabels({ le: '+Inf' })} ${values.length}`);
+        lines.push(`${this.name}_sum ${values.reduce((sum, value) => sum + value, 0)}`);
+        lines.push(`${this.name}_count ${values.length}`);
+        return lines;
+    }
+}
+
+// ======================================================================
+// REGISTRY
+// ======================================================================
+
+/**
+ * Metrics - Holds all metrics of the server and renders them for scraping
+ */
+class Metrics {
+    /**
+     * Content type expected by Prometheus scrapers
+     */
+    static contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+    constructor() {
+        this._metrics = [];
+    }
+
+    /**
+     * Register a counter
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @returns {Counter} - The counter
+     */
+    counter(name, help) {
+        return this._add(new Counter(name, help));
+    }
+
+    /**
+     * Register a gauge
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Function} collect - Returns the current value
+     * @returns {Gauge} - The gauge
+     */
+    gauge(name, help, collect) {
+        return this._add(new Gauge(name, help, collect));
+    }
+
+    /**
+     * Register a histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Array<number>} buckets - Upper bounds, in ascending order
+     * @param {Function} collect - Returns the current observations
+     * @returns {Histogram} - The histogram
+     */
+    histogram(name, help, buckets, collect) {
+        return this._add(new Histogram(name, help, buckets, collect));
+    }
+
+    /**
+     * Render every metric in the Prometheus text format
+     * @returns {string} - Exposition text
+     */
+    render() {
+        return this._metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`
+        ].concat(metric.samples()).join('\n')).join('\n') + '\n';
+    }
+
+    /**
+     * Add a metric to the registry
+     * @param {Object} metric - Metric to add
+     * @returns {Object} - The same metric
+     * @private
+     */
+    _add(metric) {
+        this._metrics.push(metric);
+        return metric;
+    }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,105 @@
+/**
+ * drpl.co - Peer Identity
+ * Issues peer IDs signed with a server secret so they cannot be forged or guessed
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// ======================================================================
+// PEER IDENTITY CLASS
+// ======================================================================
+
+/**
+ * PeerIdentity - Creates and verifies signed peer ID tokens
+ *
+ * Tokens have the form `<uuid>.<signature>`, where the signature is an
+ * HMAC-SHA256 of the UUID keyed with the server secret.
+ */
+class PeerIdentity {
+    /**
+     * @param {string} secret - Signing secret (see loadSecret)
+     */
+    constructor(secret) {
+        if (!secret) {
+            throw new Error('A peer ID secret is required');
+        }
+        this._secret = secret;
+    }
+
+    /**
+     * Create a new random peer ID
+     * @returns {{id: string, token: string}} - The ID and its signed token
+     */
+    create() {
+        const id = crypto.randomUUID();
+        return { id, token: id + '.' + this._sign(id) };
+    }
+
+    /**
+     * Verify a signed token
+     * @param {string} token - Token from the client
+     * @returns {string|null} - The peer ID, or null if the token is forged or malformed
+     */
+    verify(token) {
+        if (typeof token !== 'string') return null;
+
+        const [id, signature] = token.split('.');
+        if (!signature || !PeerIdentity.isUUID(id)) return null;
+
+        const expected = Buffer.from(this._sign(id));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return null;
+        }
+
+        return id;
+    }
+
+    /**
+     * Sign a peer ID
+     * @param {string} id - Peer ID
+     * @returns {string} - Base64url encoded signature
+     * @private
+     */
+    _sign(id) {
+        return crypto.createHmac('sha256', this._secret).update(id).digest('base64url');
+    }
+
+    /**
+     * Read the signing secret from a file, creating it on first run
+     * Keeping the secret keeps peer IDs valid across restarts
+     * @param {string} file - Secret file path
+     * @returns {string} - Signing secret
+     */
+    static loadSecret(file) {
+        try {
+            const secret = fs.readFileSync(file, 'utf8').trim();
+            if (secret) return secret;
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                throw new Error(`Cannot read peer ID secret from ${file}: ${e.message}`);
+            }
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        try {
+            fs.writeFileSync(file, secret + '\n', { mode: 0o600 });
+        } catch (e) {
+            throw new Error(`Cannot save peer ID secret to ${file} (set PEER_ID_SECRET instead): ${e.message}`);
+        }
+        console.log(`Generated a new peer ID secret in ${file}`);
+        return secret;
+    }
+
+    /**
+     * Check that a string looks like a UUID
+     * @param {string} id - Value to check
+     * @returns {boolean} - True if it is a UUID
+     */
+    static isUUID(id) {
+        return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(id);
+    }
+}
+
+module.exports = PeerIdentity;
@@ -0,0 +1,53 @@
+/**
+ * drpl.co - Relay Frames
+ * Binary framing for file data relayed through the server when WebRTC is unavailable
+ */
+
+// ======================================================================
+// FRAME FORMAT
+// ======================================================================
+//
+//   +--------+----------------------+-------------------+
+//   | 1 byte | N bytes              | remaining bytes   |
+//   | N      | peer ID (UTF-8)      | payload           |
+//   +--------+----------------------+-------------------+
+//
+// Clients put the recipient's ID in the header; the server swaps it
+// for the sender's ID before forwarding.
+
+/**
+ * Build a relay frame
+ * @param {string} peerId - Recipient (client to server) or sender (server to client)
+ * @param {Buffer} payload - Binary data
+ * @returns {Buffer} - Framed data
+ */
+function encode(peerId, payload) {
+    const id = Buffer.from(peerId, 'utf8');
+    if (id.length > 255) {
+        throw new Error('Peer ID too long for relay frame');
+    }
+
+    return Buffer.concat([Buffer.from([id.length]), id, payload]);
+}
+
+/**
+ * Split a relay frame into its header and payload
+ * @param {Buffer} frame - Framed data
+ * @returns {{peerId: string, payload: Buffer}|null} - Parsed frame, or null if it is malformed
+ */
+function decode(frame) {
+    if (!Buffer.isBuffer(frame) || frame.length < 1) return null;
+
+    const length = frame[0];
+    if (!length || frame.length < 1 + length) return null;
+
+    return {
+        peerId: frame.toString('utf8', 1, 1 + length),
+        payload: frame.subarray(1 + length)
+    };
+}
+
+module.exports = {
+    encode,
+    decode
+};
@@ -0,0 +1,96 @@
+/**
+ * drpl.co - Room Policy
+ * Decides which network room a peer belongs to based on its IP address
+ */
+
+const ip = require('./ip');
+
+// ======================================================================
+// ROOM POLICY CLASS
+// ======================================================================
+
+/**
+ * RoomPolicy - Maps client addresses to room identifiers
+ *
+ * Rules are applied in order:
+ *  1. overrides - exact addresses pinned to a named room
+ *  2. networks  - CIDR ranges mapped to a named room (longest prefix wins)
+ *  3. prefixes  - everything else is grouped by its IPv4 / IPv6 network prefix
+ */
+class RoomPolicy {
+    /**
+     * @param {Object} [options] - Policy options
+     * @param {number} [options.ipv4Prefix=32] - Prefix length used to group IPv4 addresses
+     * @param {number} [options.ipv6Prefix=64] - Prefix length used to group IPv6 addresses
+     * @param {Array<{cidr: string, room: string}>} [options.networks] - CIDR to room mappings
+     * @param {Object<string, string>} [options.overrides] - Address to room mappings
+     */
+    constructor(options = {}) {
+        this._ipv4Prefix = RoomPolicy._prefix(options.ipv4Prefix, 32, 32);
+        this._ipv6Prefix = RoomPolicy._prefix(options.ipv6Prefix, 64, 128);
+
+        // Exact address overrides
+        this._overrides = {};
+        for (const address in options.overrides || {}) {
+            const normalized = ip.normalize(address);
+            if (!normalized) {
+                throw new Error(`Invalid address in room overrides: ${address}`);
+            }
+            this._overrides[normalized] = options.overrides[address];
+        }
+
+        // Named networks, most specific first
+        this._networks = (options.networks || []).map(entry => {
+            const network = ip.parseCidr(entry.cidr);
+            if (!network || !entry.room) {
+                throw new Error(`Invalid room network: ${JSON.stringify(entry)}`);
+            }
+            return { network, room: entry.room };
+        }).sort((a, b) => b.network.prefix - a.network.prefix);
+    }
+
+    /**
+     * Get the room identifier for a client address
+     * @param {string} address - Client IP address
+     * @returns {string} - Room identifier
+     */
+    roomFor(address) {
+        const normalized = ip.normalize(address);
+
+        // Unparseable addresses each get a room of their own
+        if (!normalized) return 'ip:' + address;
+
+        if (this._overrides[normalized]) {
+            return 'net:' + this._overrides[normalized];
+        }
+
+        const match = this._networks.find(entry => ip.inNetwork(normalized, entry.network));
+        if (match) return 'net:' + match.room;
+
+        const isV4 = ip.parse(normalized).version === 4;
+        const prefix = isV4 ? this._ipv4Prefix : this._ipv6Prefix;
+        const width = isV4 ? 32 : 128;
+
+        return 'ip:' + (prefix === width ? normalized : ip.networkOf(normalized, prefix));
+    }
+
+    /**
+     * Validate a configured prefix length
+     * @param {number} value - Configured value
+     * @param {number} fallback - Default value
+     * @param {number} width - Address width in bits
+     * @returns {number} - Prefix length
+     * @private
+     */
+    static _prefix(value, fallback, width) {
+        if (value === undefined || value === null) return fallback;
+
+        const prefix = parseInt(value, 10);
+        if (isNaN(prefix) || prefix < 0 || prefix > width) {
+            throw new Error(`Invalid prefix length: ${value}`);
+        }
+        return prefix;
+    }
+}
+
+module.exports = RoomPolicy;
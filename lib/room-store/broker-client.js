@@ -0,0 +1,154 @@
+/**
+ * drpl.co - Broker Room Store
+ * Room store adapter that talks to other instances through a TCP broker
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const readline = require('readline');
+
+// Wait this long before reconnecting to the broker
+const RETRY_INTERVAL = 1000;
+
+// ======================================================================
+// BROKER ROOM STORE CLASS
+// ======================================================================
+
+/**
+ * BrokerRoomStore - Speaks the newline-delimited JSON protocol of lib/room-store/broker.js
+ */
+class BrokerRoomStore extends EventEmitter {
+    /**
+     * @param {Object} options - Broker address
+     * @param {string} options.host - Broker host
+     * @param {number} options.port - Broker port
+     */
+    constructor(options) {
+        super();
+        this._host = options.host || '127.0.0.1';
+        this._port = options.port;
+        this._socket = null;
+        this._connected = false;
+        this._attempted = false;
+        this._closed = false;
+        this._retryTimer = null;
+    }
+
+    /**
+     * Connect to the broker (and keep reconnecting if the connection drops)
+     * @param {string} instanceId - ID of this server instance
+     * @returns {Promise} - Resolves once the first connection attempt finished
+     */
+    start(instanceId) {
+        this._id = instanceId;
+        return new Promise(resolve => {
+            this.once('ready', resolve);
+            this.once('disconnected', resolve);
+            this._connect();
+        });
+    }
+
+    /**
+     * Send a message to every other instance
+     * @param {Object} message - Message to send
+     */
+    publish(message) {
+        this._write({ op: 'publish', message: message });
+    }
+
+    /**
+     * Send a message to one instance
+     * @param {string} instanceId - Target instance
+     * @param {Object} message - Message to send
+     */
+    send(instanceId, message) {
+        this._write({ op: 'send', to: instanceId, message: message });
+    }
+
+    /**
+     * Bytes waiting to be written to the broker
+     * @returns {number} - Queued bytes
+     */
+    get bufferedAmount() {
+        return this._socket ? this._socket.writableLength : 0;
+    }
+
+    /**
+     * Disconnect for good
+     */
+    close() {
+        this._closed = true;
+        clearTimeout(this._retryTimer);
+        if (this._socket) this._socket.end();
+    }
+
+    /**
+     * Open the connection and introduce ourselves
+     * @private
+     */
+    _connect() {
+        const socket = net.connect(this._port, this._host);
+        this._socket = socket;
+
+        socket.on('connect', () => {
+            this._connected = true;
+            this._attempted = true;
+            this._write({ op: 'hello', id: this._id });
+            this.emit('ready');
+        });
+
+        // Socket errors are handled below; readline passes them on too, so don't let it throw them
+        readline.createInterface({ input: socket })
+            .on('line', line => this._onLine(line))
+            .on('error', () => {});
+
+        // Report each outage once (and the first failed attempt, so start() can finish)
+        const firstFailure = () => this._connected || !this._attempted;
+
+        socket.on('error', error => {
+            if (firstFailure()) console.error('Broker connection error:', error.message);
+        });
+        socket.on('close', () => {
+            if (firstFailure()) this.emit('disconnected');
+            this._connected = false;
+            this._attempted = true;
+
+            if (this._closed) return;
+
+            this._retryTimer = setTimeout(() => this._connect(), RETRY_INTERVAL);
+        });
+    }
+
+    /**
+     * Handle a line from the broker
+     * @param {string} line - JSON encoded message
+     * @private
+     */
+    _onLine(line) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (e) {
+            return;
+        }
+
+        if (message.op === 'message') {
+            this.emit('message', message.message, message.from);
+        } else if (message.op === 'down') {
+            this.emit('instance-down', message.id);
+        }
+    }
+
+    /**
+     * Write a message to the broker
+     * Messages are dropped while disconnected; state is resent on 'ready'
+     * @param {Object} message - Message to write
+     * @private
+     */
+    _write(message) {
+        if (!this._connected) return;
+        this._socket.write(JSON.stringify(message) + '\n');
+    }
+}
+
+module.exports = BrokerRoomStore;
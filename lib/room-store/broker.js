@@ -0,0 +1,83 @@
+/**
+ * drpl.co - Stand-in Broker
+ * Tiny message broker for running several server instances locally
+ *
+ * Usage: node lib/room-store/broker.js [port]
+ *
+ * Instances connect over TCP and exchange newline-delimited JSON:
+ *
+ *   instance -> broker   {"op":"hello","id":"<instance>"}
+ *                        {"op":"publish","message":{...}}
+ *                        {"op":"send","to":"<instance>","message":{...}}
+ *   broker -> instance   {"op":"message","from":"<instance>","message":{...}}
+ *                        {"op":"down","id":"<instance>"}
+ *
+ * It keeps no state besides the open connections, so it is meant for
+ * development and testing rather than production.
+ */
+
+const net = require('net');
+const readline = require('readline');
+
+// ======================================================================
+// BROKER
+// ======================================================================
+
+/**
+ * Create a broker server
+ * @returns {net.Server} - Server that still needs to be told to listen
+ */
+function createBroker() {
+    const instances = new Map();
+
+    const write = (socket, message) => socket.write(JSON.stringify(message) + '\n');
+
+    return net.createServer(socket => {
+        let id = null;
+
+        const lines = readline.createInterface({ input: socket });
+        lines.on('error', () => {}); // Reported on the socket as well
+        lines.on('line', line => {
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (e) {
+                return; // Ignore garbage
+            }
+
+            if (message.op === 'hello' && typeof message.id === 'string') {
+                id = message.id;
+                instances.set(id, socket);
+                return;
+            }
+
+            if (!id) return; // Instances have to introduce themselves first
+
+            if (message.op === 'publish') {
+                for (const [otherId, other] of instances) {
+                    if (otherId !== id) write(other, { op: 'message', from: id, message: message.message });
+                }
+            } else if (message.op === 'send' && instances.has(message.to)) {
+                write(instances.get(message.to), { op: 'message', from: id, message: message.message });
+            }
+        });
+
+        socket.on('error', () => {}); // 'close' follows
+        socket.on('close', () => {
+            if (!id || instances.get(id) !== socket) return;
+
+            instances.delete(id);
+            for (const other of instances.values()) {
+                write(other, { op: 'down', id: id });
+            }
+        });
+    });
+}
+
+module.exports = createBroker;
+
+// Run as a standalone process
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || 4000;
+    createBroker().listen(port, () => console.log(`drpl.co broker listening on port ${port}`));
+}
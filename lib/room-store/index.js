@@ -0,0 +1,49 @@
+/**
+ * drpl.co - Room Store
+ * Shares room membership and relayed messages between server instances
+ */
+
+const MemoryRoomStore = require('./memory');
+const BrokerRoomStore = require('./broker-client');
+
+// ======================================================================
+// ADAPTER INTERFACE
+// ======================================================================
+//
+// Every instance keeps its own sockets and tells the others what changed.
+// An adapter is an EventEmitter with these methods:
+//
+//   start(instanceId)          Connect; returns a Promise
+//   publish(message)           Send a message to every other instance
+//   send(instanceId, message)  Send a message to one instance
+//   bufferedAmount             Bytes queued for sending (used for backpressure)
+//   close()                    Disconnect
+//
+// and these events:
+//
+//   'ready'                    Connected (again); other instances may have missed our state
+//   'disconnected'             Lost contact with the other instances
+//   'message' (message, from)  Message published or sent by another instance
+//   'instance-down' (id)       Another instance went away
+//
+// Messages are plain JSON objects.
+
+/**
+ * Create the adapter for a deployment
+ * @param {Object} [options] - Store options
+ * @param {string} [options.broker] - host:port of a broker; without it rooms stay in this process
+ * @returns {EventEmitter} - Room store adapter
+ */
+function create(options = {}) {
+    if (options.broker) {
+        const [host, port] = options.broker.split(':');
+        return new BrokerRoomStore({ host, port: parseInt(port, 10) });
+    }
+    return new MemoryRoomStore();
+}
+
+module.exports = {
+    create,
+    MemoryRoomStore,
+    BrokerRoomStore
+};
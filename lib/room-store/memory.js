@@ -0,0 +1,93 @@
+/**
+ * drpl.co - Memory Room Store
+ * Room store adapter for instances running in the same process
+ */
+
+const EventEmitter = require('events');
+
+// ======================================================================
+// MEMORY ROOM STORE CLASS
+// ======================================================================
+
+/**
+ * MemoryRoomStore - Connects server instances that share a hub object
+ *
+ * With the default private hub there is nobody to talk to, which is what a
+ * single instance wants. Pass the same hub to several stores to run more
+ * than one instance in a process.
+ */
+class MemoryRoomStore extends EventEmitter {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {Map} [options.hub] - Instances to talk to, shared between stores
+     */
+    constructor(options = {}) {
+        super();
+        this._hub = options.hub || new Map();
+        this._id = null;
+    }
+
+    /**
+     * Join the hub
+     * @param {string} instanceId - ID of this server instance
+     * @returns {Promise} - Resolves once joined
+     */
+    start(instanceId) {
+        this._id = instanceId;
+        this._hub.set(instanceId, this);
+        process.nextTick(() => this.emit('ready'));
+        return Promise.resolve();
+    }
+
+    /**
+     * Send a message to every other instance
+     * @param {Object} message - Message to send
+     */
+    publish(message) {
+        for (const [id, store] of this._hub) {
+            if (id !== this._id) store._deliver(message, this._id);
+        }
+    }
+
+    /**
+     * Send a message to one instance
+     * @param {string} instanceId - Target instance
+     * @param {Object} message - Message to send
+     */
+    send(instanceId, message) {
+        const store = this._hub.get(instanceId);
+        if (store) store._deliver(message, this._id);
+    }
+
+    /**
+     * Messages are handed over right away, so nothing is ever queued
+     * @returns {number} - Always 0
+     */
+    get bufferedAmount() {
+        return 0;
+    }
+
+    /**
+     * Leave the hub
+     */
+    close() {
+        this._hub.delete(this._id);
+        for (const store of this._hub.values()) {
+            process.nextTick(() => store.emit('instance-down', this._id));
+        }
+    }
+
+    /**
+     * Receive a message from another instance
+     * Copied and delivered asynchronously, like it would be over a network
+     * @param {Object} message - Message
+     * @param {string} from - Sending instance
+     * @private
+     */
+    _deliver(message, from) {
+        const copy = JSON.parse(JSON.stringify(message));
+        process.nextTick(() => this.emit('message', copy, from));
+    }
+}
+
+module.exports = MemoryRoomStore;
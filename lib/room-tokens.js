@@ -0,0 +1,74 @@
+/**
+ * drpl.co - Room Tokens
+ * Lets a device back into a room it was let into, e.g. after it reconnects
+ */
+
+const crypto = require('crypto');
+
+// ======================================================================
+// ROOM TOKENS CLASS
+// ======================================================================
+
+/**
+ * RoomTokens - Issues and checks tokens that name a room for one device
+ *
+ * Tokens have the form `<room>.<signature>`, where the room ID is base64url
+ * encoded and the signature is an HMAC-SHA256 of the device ID and room ID.
+ * A token is no use to other devices, and it can't be changed to name another room.
+ */
+class RoomTokens {
+    /**
+     * @param {string|Buffer} secret - Signing secret
+     */
+    constructor(secret) {
+        if (!secret) {
+            throw new Error('A room token secret is required');
+        }
+        this._secret = secret;
+    }
+
+    /**
+     * Issue a token for a device in a room
+     * @param {string} roomId - Room the device is in
+     * @param {string} peerId - Device ID
+     * @returns {string} - Room token
+     */
+    issue(roomId, peerId) {
+        return Buffer.from(roomId).toString('base64url') + '.' + this._sign(roomId, peerId);
+    }
+
+    /**
+     * Check a token presented by a device
+     * @param {string} token - Token from the client
+     * @param {string} peerId - Device presenting it
+     * @returns {string|null} - Room ID, or null if the token was not issued to this device
+     */
+    verify(token, peerId) {
+        if (typeof token !== 'string') return null;
+
+        const [room, signature] = token.split('.');
+        if (!room || !signature) return null;
+
+        const roomId = Buffer.from(room, 'base64url').toString();
+        const expected = Buffer.from(this._sign(roomId, peerId));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return null;
+        }
+
+        return roomId;
+    }
+
+    /**
+     * Sign a device and room pair
+     * @param {string} roomId - Room ID
+     * @param {string} peerId - Device ID
+     * @returns {string} - Base64url encoded signature
+     * @private
+     */
+    _sign(roomId, peerId) {
+        return crypto.createHmac('sha256', this._secret).update(peerId + ':' + roomId).digest('base64url');
+    }
+}
+
+module.exports = RoomTokens;
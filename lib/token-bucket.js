@@ -0,0 +1,60 @@
+/**
+ * drpl.co - Token Bucket
+ * Simple rate limiter that allows short bursts above a steady rate
+ */
+
+// ======================================================================
+// TOKEN BUCKET CLASS
+// ======================================================================
+
+/**
+ * TokenBucket - Refills at a fixed rate up to a maximum burst size
+ */
+class TokenBucket {
+    /**
+     * @param {Object} options - Bucket options
+     * @param {number} options.rate - Tokens added per second
+     * @param {number} options.burst - Maximum number of tokens
+     */
+    constructor(options) {
+        this._rate = options.rate;
+        this._burst = options.burst;
+        this._tokens = options.burst;
+        this._updated = Date.now();
+    }
+
+    /**
+     * Take tokens from the bucket
+     * @param {number} [cost=1] - Number of tokens to take
+     * @returns {boolean} - False if there weren't enough tokens
+     */
+    take(cost = 1) {
+        this._refill();
+        if (this._tokens < cost) return false;
+
+        this._tokens -= cost;
+        return true;
+    }
+
+    /**
+     * Check whether the bucket has refilled completely
+     * Full buckets hold no state worth keeping
+     * @returns {boolean} - True if the bucket is full
+     */
+    isFull() {
+        this._refill();
+        return this._tokens >= this._burst;
+    }
+
+    /**
+     * Add the tokens earned since the last update
+     * @private
+     */
+    _refill() {
+        const now = Date.now();
+        this._tokens = Math.min(this._burst, this._tokens + (now - this._updated) / 1000 * this._rate);
+        this._updated = now;
+    }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,122 @@
+/**
+ * drpl.co - Trusted Proxies
+ * Resolves the real client address behind reverse proxies without trusting spoofed headers
+ */
+
+const ip = require('./ip');
+
+// Only log the same problem from the same source once per minute
+const WARNING_INTERVAL = 60 * 1000;
+
+// ======================================================================
+// TRUSTED PROXIES CLASS
+// ======================================================================
+
+/**
+ * TrustedProxies - Decides which X-Forwarded-For entries can be believed
+ *
+ * Proxies can be trusted in one of two ways:
+ *  - by address: entries are read right to left, skipping trusted proxies,
+ *    and the first untrusted address is the client
+ *  - by hop count: the client is exactly `hops` entries left of the socket address
+ *
+ * Either way the header is ignored unless the socket address is a trusted proxy,
+ * so clients connecting directly cannot pick their own address.
+ */
+class TrustedProxies {
+    /**
+     * @param {Object} [options] - Proxy options
+     * @param {Array<string>} [options.proxies] - Trusted proxy addresses or CIDR ranges
+     * @param {number} [options.hops=0] - Number of proxies in front of the server (the one connecting must still be in `proxies`)
+     */
+    constructor(options = {}) {
+        this._hops = parseInt(options.hops, 10) || 0;
+
+        this._networks = (options.proxies || []).map(cidr => {
+            const network = ip.parseCidr(cidr);
+            if (!network) {
+                throw new Error(`Invalid trusted proxy: ${cidr}`);
+            }
+            return network;
+        });
+
+        // Without proxies to check the socket against, any client could claim to be the last hop
+        if (this._hops && !this._networks.length) {
+            throw new Error('Trusted proxy hops require at least one trusted proxy address');
+        }
+
+        this._lastWarnings = new Map();
+    }
+
+    /**
+     * Resolve the client address of an incoming request
+     * @param {Object} request - HTTP request
+     * @returns {string} - Client IP address
+     */
+    clientAddress(request) {
+        const remote = ip.normalize(request.socket.remoteAddress) || request.socket.remoteAddress;
+        const header = request.headers['x-forwarded-for'];
+
+        if (!header) return remote;
+
+        // Forwarded headers only count when a trusted proxy added them
+        if (!this.isTrusted(remote)) {
+            this._warn(remote, `Ignoring X-Forwarded-For from untrusted address ${remote}: ${header}`);
+            return remote;
+        }
+
+        const chain = header.split(',').map(entry => ip.normalize(entry));
+        const addresses = chain.concat(remote);
+
+        let index;
+        if (this._hops) {
+            index = addresses.length - 1 - this._hops;
+            if (index < 0) {
+                this._warn(remote, `X-Forwarded-For from ${remote} has fewer than ${this._hops} hops: ${header}`);
+                index = 0;
+            }
+        } else {
+            index = addresses.length - 1;
+            while (index > 0 && this.isTrusted(addresses[index])) {
+                index--;
+            }
+        }
+
+        // A trusted proxy never writes garbage, so fall back to the socket address
+        if (!addresses[index]) {
+            this._warn(remote, `Malformed X-Forwarded-For from ${remote}: ${header}`);
+            return remote;
+        }
+
+        return addresses[index];
+    }
+
+    /**
+     * Check whether an address belongs to a trusted proxy
+     * @param {string} address - Normalized address
+     * @returns {boolean} - True if trusted
+     */
+    isTrusted(address) {
+        return !!address && this._networks.some(network => ip.inNetwork(address, network));
+    }
+
+    /**
+     * Log a suspicious header without flooding the log
+     * @param {string} source - Address the header came from
+     * @param {string} message - Warning to log
+     * @private
+     */
+    _warn(source, message) {
+        const now = Date.now();
+        const last = this._lastWarnings.get(source);
+        if (last && now - last < WARNING_INTERVAL) return;
+
+        // Keep the throttle table from growing without bound
+        if (this._lastWarnings.size > 1000) this._lastWarnings.clear();
+
+        this._lastWarnings.set(source, now);
+        console.warn(message);
+    }
+}
+
+module.exports = TrustedProxies;
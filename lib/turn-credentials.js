@@ -0,0 +1,57 @@
+/**
+ * drpl.co - TURN Credentials
+ * Issues short-lived TURN credentials with the TURN REST API shared-secret scheme
+ */
+
+const crypto = require('crypto');
+
+// ======================================================================
+// TURN CREDENTIALS CLASS
+// ======================================================================
+
+/**
+ * TurnCredentials - Creates time-limited usernames and passwords for a TURN server
+ *
+ * The username is `<expiry>:<peer ID>`, where the expiry is a UNIX timestamp,
+ * and the password is the base64 HMAC-SHA1 of the username keyed with the
+ * secret shared with the TURN server (coturn's `use-auth-secret`). The TURN
+ * server checks the signature and the expiry without talking to us.
+ */
+class TurnCredentials {
+    /**
+     * @param {Object} [options] - TURN settings
+     * @param {string} [options.secret] - Secret shared with the TURN server
+     * @param {Array<string>} [options.urls] - TURN server URLs (turn:host:port, turns:host:port)
+     * @param {number} [options.ttl=86400] - How long credentials stay valid, in seconds
+     */
+    constructor(options = {}) {
+        this._secret = options.secret || null;
+        this._urls = options.urls || [];
+        this._ttl = options.ttl || 86400;
+    }
+
+    /**
+     * Whether a TURN server is configured
+     * @returns {boolean} - True if credentials can be issued
+     */
+    get enabled() {
+        return Boolean(this._secret && this._urls.length);
+    }
+
+    /**
+     * Issue credentials for a peer
+     * @param {string} peerId - Peer the credentials are for
+     * @returns {Object|null} - RTCIceServer entry ({urls, username, credential}), or null if disabled
+     */
+    issue(peerId) {
+        if (!this.enabled) return null;
+
+        const expiry = Math.floor(Date.now() / 1000) + this._ttl;
+        const username = `${expiry}:${peerId}`;
+        const credential = crypto.createHmac('sha1', this._secret).update(username).digest('base64');
+
+        return { urls: this._urls, username, credential };
+    }
+}
+
+module.exports = TurnCredentials;
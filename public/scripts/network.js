@@ -51,14 +51,44 @@ class ServerConnection {
     constructor() {
         this._socket = null;
         this._reconnectTimer = null;
+        this._roomToken = null;
+        this._inviteToken = this._takeInviteToken();
+        this._nickname = localStorage.getItem('nickname');
+        
+        // Tabs share the peer ID cookie, so each page load gets its own session
+        this._sessionId = ServerConnection._createSessionId();
+        
+        // Lets this tab take its place back after a dropped connection
+        this._resumeToken = null;
+        this._resumeGrace = 0;
+        this._droppedAt = null;
+        
+        // Peers in our room, kept so a server restart doesn't make them flicker
+        this._peers = {};
+        this._restarting = false;
+        this._keepPeers = false;
+        this._reconnectAttempts = 0;
+        
+        // Callbacks waiting for ICE servers from the server
+        this._iceRequests = new Set();
         
         // Set up connection and event listeners
         this._connect();
         
+        // Handle pairing-code room requests from the UI
+        Events.on('create-room', () => this.send({ type: 'create-room' }));
+        Events.on('join-room', e => this.send({ type: 'join-room', code: e.detail }));
+        Events.on('leave-room', () => this.send({ type: 'leave-room' }));
+        Events.on('create-invite', () => this.send({ type: 'create-invite' }));
+        Events.on('set-nickname', e => this._setNickname(e.detail));
+        
         // Handle page lifecycle events
         Events.on('beforeunload', () => this._disconnect());
         Events.on('pagehide', () => this._disconnect());
         document.addEventListener('visibilitychange', () => this._onVisibilityChange());
+        
+        // The tab the user is looking at receives transfers for this device
+        Events.on('focus', () => this.send({ type: 'session-active' }));
     }
   
     /**
@@ -72,10 +102,11 @@ class ServerConnection {
         if (this._isConnected() || this._isConnecting()) return;
         
         const ws = new WebSocket(this._endpoint());
+        this._inviteToken = null; // Invite tokens only work once
         ws.binaryType = 'arraybuffer';
-        ws.onopen = () => console.log('Server connected');
+        ws.onopen = () => this._onConnect();
         ws.onmessage = e => this._onMessage(e.data);
-        ws.onclose = () => this._onDisconnect();
+        ws.onclose = e => this._onDisconnect(e);
         ws.onerror = e => console.error('WebSocket error:', e);
         this._socket = ws;
     }
@@ -86,29 +117,80 @@ class ServerConnection {
      * @private
      */
     _onMessage(msg) {
+        // Binary frames carry relayed file data
+        if (typeof msg !== 'string') {
+            this._onFrame(msg);
+            return;
+        }
+        
         try {
             msg = JSON.parse(msg);
             console.log('Server message:', msg);
             
             switch (msg.type) {
                 case 'peers':
-                    Events.fire('peers', msg.peers);
+                    this._onPeers(msg.peers);
                     break;
                 case 'peer-joined':
+                    this._peers[msg.peer.id] = msg.peer;
                     Events.fire('peer-joined', msg.peer);
                     break;
                 case 'peer-left':
+                    delete this._peers[msg.peerId];
                     Events.fire('peer-left', msg.peerId);
                     break;
+                case 'peer-updated':
+                    this._peers[msg.peer.id] = msg.peer;
+                    Events.fire('peer-updated', msg.peer);
+                    break;
+                case 'peer-session-changed':
+                    Events.fire('peer-session-changed', msg.peerId);
+                    break;
+                case 'session-state':
+                    Events.fire('session-state', msg.active);
+                    break;
+                case 'session-handover':
+                    Events.fire('session-handover');
+                    break;
                 case 'signal':
                     Events.fire('signal', msg);
                     break;
+                case 'relay':
+                    Events.fire('relay', { sender: msg.sender, data: msg.data });
+                    break;
                 case 'ping':
                     this.send({ type: 'pong' });
                     break;
+                case 'server-restarting':
+                    this._restarting = true;
+                    break;
+                case 'resume-token':
+                    this._resumeToken = msg.token;
+                    this._resumeGrace = msg.grace;
+                    break;
                 case 'display-name':
                     Events.fire('display-name', msg.message);
                     break;
+                case 'room-joined':
+                    this._roomToken = msg.token;
+                    Events.fire('room-joined', msg.code);
+                    break;
+                case 'room-left':
+                    this._roomToken = null;
+                    Events.fire('room-left');
+                    break;
+                case 'room-error':
+                    this._onRoomError(msg);
+                    break;
+                case 'ice-servers':
+                    Array.from(this._iceRequests).forEach(done => done(msg.iceServers));
+                    break;
+                case 'invite':
+                    Events.fire('invite-created', {
+                        url: `${location.origin}/?invite=${encodeURIComponent(msg.token)}`,
+                        expires: msg.expires
+                    });
+                    break;
                 default:
                     console.error('Unknown message type:', msg.type);
             }
@@ -117,6 +199,101 @@ class ServerConnection {
         }
     }
   
+    /**
+     * Handle a successful connection to the server
+     * @private
+     */
+    _onConnect() {
+        console.log('Server connected');
+        
+        // Hold on to our peers until they have had a chance to reconnect too
+        this._keepPeers = this._restarting;
+        this._restarting = false;
+        this._reconnectAttempts = 0;
+        this._droppedAt = null;
+        
+        // The server does not remember nicknames between connections
+        if (this._nickname) {
+            this.send({ type: 'set-name', name: this._nickname });
+        }
+        
+        // Rooms are tied to the socket, so go back to the pairing or invited room after a reconnect
+        // (the server lets us bring it back with our token if it was lost in a restart)
+        if (this._roomToken) {
+            this.send({ type: 'rejoin-room', token: this._roomToken });
+        }
+        
+        // Another tab may have taken over while we were away
+        if (document.hasFocus()) {
+            this.send({ type: 'session-active' });
+        }
+        
+        Events.fire('server-connected');
+    }
+  
+    /**
+     * Handle the list of peers in our room
+     * Right after a server restart, peers that haven't reconnected yet are kept for a while
+     * @param {Array} peers - Peers currently in the room
+     * @private
+     */
+    _onPeers(peers) {
+        const previous = this._peers;
+        this._peers = {};
+        peers.forEach(peer => this._peers[peer.id] = peer);
+        
+        if (!this._keepPeers) {
+            Events.fire('peers', peers);
+            return;
+        }
+        this._keepPeers = false;
+        
+        const missing = Object.values(previous).filter(peer => !this._peers[peer.id]);
+        missing.forEach(peer => this._peers[peer.id] = peer);
+        Events.fire('peers', Object.values(this._peers));
+        
+        // Drop the ones that didn't come back (peer-joined replaces their entry if they did)
+        setTimeout(() => {
+            missing
+                .filter(peer => this._peers[peer.id] === peer)
+                .forEach(peer => {
+                    delete this._peers[peer.id];
+                    Events.fire('peer-left', peer.id);
+                });
+        }, 10000);
+    }
+  
+    /**
+     * Store a nickname on this device and share it with other peers
+     * @param {string} nickname - New nickname (empty to go back to the generated name)
+     * @private
+     */
+    _setNickname(nickname) {
+        this._nickname = (nickname || '').trim() || null;
+        
+        if (this._nickname) {
+            localStorage.setItem('nickname', this._nickname);
+        } else {
+            localStorage.removeItem('nickname');
+        }
+        
+        this.send({ type: 'set-name', name: this._nickname || '' });
+    }
+  
+    /**
+     * Handle a failed attempt to join a pairing-code room
+     * @param {Object} msg - Room error message
+     * @private
+     */
+    _onRoomError(msg) {
+        // The room we were in expired while we were away
+        if (msg.rejoin && this._roomToken) {
+            this._roomToken = null;
+            Events.fire('room-left');
+        }
+        Events.fire('room-error', msg.message);
+    }
+  
     /**
      * Send message to the server
      * @param {Object} message - Message to send (will be stringified)
@@ -126,6 +303,65 @@ class ServerConnection {
         this._socket.send(JSON.stringify(message));
     }
   
+    /**
+     * Relay binary data to a peer through the server
+     * Frames are a one byte ID length, the peer ID, then the payload
+     * @param {string} peerId - ID of the recipient
+     * @param {ArrayBuffer} data - Data to send
+     */
+    sendFrame(peerId, data) {
+        if (!this._isConnected()) return;
+        
+        const id = new TextEncoder().encode(peerId);
+        const frame = new Uint8Array(1 + id.length + data.byteLength);
+        frame[0] = id.length;
+        frame.set(id, 1);
+        frame.set(new Uint8Array(data), 1 + id.length);
+        
+        this._socket.send(frame.buffer);
+    }
+  
+    /**
+     * Bytes queued on the socket but not sent yet
+     * @returns {number} - Buffered bytes
+     */
+    get bufferedAmount() {
+        return this._socket ? this._socket.bufferedAmount : 0;
+    }
+  
+    /**
+     * Ask the server for ICE servers, including fresh TURN credentials
+     * Falls back to the servers from /config if the server doesn't answer in time
+     * @returns {Promise<Array<Object>>} - RTCIceServer entries
+     */
+    requestIceServers() {
+        if (!this._isConnected()) return Promise.resolve(RTCPeer.config.iceServers);
+        
+        return new Promise(resolve => {
+            const done = iceServers => {
+                clearTimeout(timer);
+                this._iceRequests.delete(done);
+                resolve(iceServers);
+            };
+            const timer = setTimeout(() => done(RTCPeer.config.iceServers), 3000);
+            
+            this._iceRequests.add(done);
+            this.send({ type: 'turn-credentials' });
+        });
+    }
+  
+    /**
+     * Unpack a binary frame relayed by the server
+     * @param {ArrayBuffer} frame - Frame with the sender's ID in the header
+     * @private
+     */
+    _onFrame(frame) {
+        const length = new Uint8Array(frame, 0, 1)[0];
+        const sender = new TextDecoder().decode(new Uint8Array(frame, 1, length));
+        
+        Events.fire('relay', { sender: sender, data: frame.slice(1 + length) });
+    }
+  
     /**
      * Determine the WebSocket endpoint based on current protocol
      * @returns {string} - WebSocket endpoint URL
@@ -136,7 +372,48 @@ class ServerConnection {
         const protocol = location.protocol.startsWith('https') ? 'wss' : 'ws';
         const webrtc = window.RTCPeerConnection ? '/webrtc' : '/fallback';
         const host = location.host || window.location.host;
-        return `${protocol}://${host}/server${webrtc}`;
+        
+        const params = new URLSearchParams({ session: this._sessionId });
+        
+        // Join the invited room instead of the one for our network
+        if (this._inviteToken) {
+            params.set('invite', this._inviteToken);
+        }
+        
+        // Pick up where we left off if the server still holds our place
+        if (this._resumeToken) {
+            params.set('resume', this._resumeToken);
+        }
+        
+        return `${protocol}://${host}/server${webrtc}?${params}`;
+    }
+  
+    /**
+     * Generate a random ID for this tab's connection
+     * @returns {string} - Hex encoded session ID
+     * @private
+     */
+    static _createSessionId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+  
+    /**
+     * Read the invite token from the page URL and remove it from the address bar
+     * @returns {string|null} - Invite token if the page was opened from an invite link
+     * @private
+     */
+    _takeInviteToken() {
+        const params = new URLSearchParams(location.search);
+        const token = params.get('invite');
+        if (!token) return null;
+        
+        // Keep the spent token out of bookmarks and reloads
+        params.delete('invite');
+        const query = params.toString();
+        history.replaceState(null, '', location.pathname + (query ? `?${query}` : '') + location.hash);
+        
+        return token;
     }
   
     /**
@@ -145,6 +422,7 @@ class ServerConnection {
      */
     _disconnect() {
         if (!this._socket) return;
+        this._resumeToken = null; // We are leaving for good
         this.send({ type: 'disconnect' });
         this._socket.onclose = null; // Prevent reconnect on intentional close
         this._socket.close();
@@ -152,17 +430,60 @@ class ServerConnection {
   
     /**
      * Handle unexpected disconnection
+     * @param {CloseEvent} event - Close event
      * @private
      */
-    _onDisconnect() {
-        console.log('Server disconnected');
-        Events.fire('notify-user', 'Connection lost. Reconnecting in 5 seconds...');
+    _onDisconnect(event) {
+        console.log('Server disconnected', event.code, event.reason);
+        clearTimeout(this._reconnectTimer);
+        
+        // Our stored peer ID was not accepted; the server already gave us a new one
+        // (backing off in case the browser won't store it)
+        if (event.code === 4401) {
+            // The server's secret changed, so every device gets a new ID and kept peers would never come back
+            this._restarting = false;
+            this._reconnectTimer = setTimeout(() => this._connect(), this._reconnectDelay());
+            return;
+        }
+        
+        // Planned restart: come back quickly, but not all at the same moment
+        if (this._restarting || event.code === 1012) {
+            this._restarting = true;
+            this._reconnectTimer = setTimeout(() => this._connect(), this._reconnectDelay());
+            return;
+        }
+        
+        // The server keeps our place for a little while, so hurry back without a fuss
+        if (!this._droppedAt) this._droppedAt = Date.now();
+        const resumable = this._resumeToken && Date.now() - this._droppedAt < this._resumeGrace;
+        if (resumable && event.code !== 4409 && event.code !== 4429 && event.code !== 1008) {
+            this._reconnectTimer = setTimeout(() => this._connect(), this._reconnectDelay());
+            return;
+        }
+        
+        if (event.code === 4409) {
+            Events.fire('notify-user', 'This tab is already connected. Retrying in 5 seconds...');
+        } else if (event.code === 4429) {
+            Events.fire('notify-user', 'Too many requests. Reconnecting in 5 seconds...');
+        } else {
+            Events.fire('notify-user', 'Connection lost. Reconnecting in 5 seconds...');
+        }
         
         // Schedule reconnection attempt
-        clearTimeout(this._reconnectTimer);
         this._reconnectTimer = setTimeout(() => this._connect(), 5000);
     }
   
+    /**
+     * Pick a randomized delay before the next reconnect attempt
+     * Backs off from about a second up to five while the server is unreachable
+     * @returns {number} - Delay in milliseconds
+     * @private
+     */
+    _reconnectDelay() {
+        const max = Math.min(5000, 1000 * Math.pow(2, this._reconnectAttempts++));
+        return max / 4 + Math.random() * max * 3 / 4;
+    }
+  
     /**
      * Handle page visibility changes
      * @private
@@ -189,6 +510,32 @@ class ServerConnection {
     _isConnecting() {
         return this._socket && this._socket.readyState === WebSocket.CONNECTING;
     }
+
+    /**
+     * Fetch the server's settings for clients
+     * Falls back to defaults (every feature on, no ICE servers) if the server can't be reached
+     * @returns {Promise<Object>} - Settings ({iceServers, features})
+     */
+    static fetchConfig() {
+        const defaults = {
+            iceServers: [],
+            features: { pairingRooms: true, invites: true, nicknames: true }
+        };
+
+        return fetch('/config', { cache: 'no-store' })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(config => ({
+                iceServers: config.iceServers || defaults.iceServers,
+                features: Object.assign({}, defaults.features, config.features)
+            }))
+            .catch(error => {
+                console.error('Could not load server config:', error);
+                return defaults;
+            });
+    }
 }
   
 // ======================================================================
@@ -207,7 +554,25 @@ class Peer {
         this._server = serverConnection;
         this._peerId = peerId;
         this._filesQueue = [];
-        this._busy = false;
+        
+        // Files being sent and received, by transfer ID; each offer sends one file at a time,
+        // but several offers can be on their way at once
+        this._transfers = new Map();
+        this._digesters = new Map();
+        
+        // Answers to files we finished receiving, by transfer ID, for senders that missed them
+        this._finishedTransfers = new Map();
+        
+        // Files we offered that are waiting for an answer, by offer ID, and when they expire
+        this._offers = {};
+        this._offerTimers = {};
+        
+        // Accepted offers still being sent, by offer ID: files left and how many failed
+        this._accepted = {};
+        
+        // Files we were offered, by offer ID; a header is only accepted for
+        // a file the user picked, until that file has been received
+        this._incomingOffers = {};
     }
   
     /**
@@ -219,231 +584,1003 @@ class Peer {
     }
   
     /**
-     * Queue and send files to the peer
-     * @param {FileList|Array<File>} files - Files to send
+     * Check whether closing this connection would cut anything off
+     * @returns {boolean} - True while offers are open or files are moving
      */
-    sendFiles(files) {
-        // Queue all files
-        for (let i = 0; i < files.length; i++) {
-            this._filesQueue.push(files[i]);
-        }
-        
-        // Start sending if not already busy
-        if (this._busy) return;
-        this._dequeueFile();
+    isBusy() {
+        return this._transfers.size > 0 || this._digesters.size > 0
+            || Object.keys(this._offers).length > 0
+            || Object.keys(this._accepted).length > 0
+            || Object.keys(this._incomingOffers).length > 0;
     }
   
     /**
-     * Process the next file in the queue
-     * @private
+     * Offer files to the peer
+     * Nothing is sent until the receiver accepts some of them
+     * @param {FileList|Array<File>} files - Files to offer
+     * @returns {string} - Offer ID, reported again once the offer is settled
      */
-    _dequeueFile() {
-        if (!this._filesQueue.length) return;
+    offerFiles(files) {
+        files = Array.from(files);
+        const offerId = Peer._createTransferId();
+        this._offers[offerId] = files;
+        this._offerTimers[offerId] = setTimeout(() => this._expireOffer(offerId), Peer.offerTimeout);
         
-        this._busy = true;
-        const file = this._filesQueue.shift();
-        this._sendFile(file);
+        this.sendJSON({
+            type: 'transfer-offer',
+            offerId: offerId,
+            files: files.map(file => ({ name: file.name, size: file.size, mime: file.type, path: Peer._folderOf(file) })),
+            total: files.reduce((total, file) => total + file.size, 0)
+        });
+        return offerId;
     }
   
     /**
-     * Send a file to the peer
-     * @param {File} file - File to send
+     * Report how an offer ended: declined, sent, failed (some files arrived damaged
+     * or were refused) or cancelled
+     * @param {string} offerId - ID of the offer
+     * @param {string} status - Outcome
      * @private
      */
-    _sendFile(file) {
-        // Send file metadata header
-        this.sendJSON({
-            type: 'header',
-            name: file.name,
-            mime: file.type,
-            size: file.size
-        });
-        
-        // Initialize file chunker for transfer
-        this._chunker = new FileChunker(
-            file,
-            chunk => this._send(chunk),
-            offset => this._onPartitionEnd(offset)
-        );
-        
-        // Start sending the first partition
-        this._chunker.nextPartition();
+    _settleSentOffer(offerId, status) {
+        clearTimeout(this._offerTimers[offerId]);
+        delete this._offerTimers[offerId];
+        delete this._offers[offerId];
+        delete this._accepted[offerId];
+        Events.fire('file-offer-settled', { offerId: offerId, to: this._peerId, status: status });
     }
   
     /**
-     * Handle completion of a file partition
-     * @param {number} offset - Current file offset
+     * Give up on an offer nobody answered, so the sender isn't left waiting for it
+     * @param {string} offerId - ID of the offer
      * @private
      */
-    _onPartitionEnd(offset) {
-        this.sendJSON({ type: 'partition', offset: offset });
+    _expireOffer(offerId) {
+        const files = this._offers[offerId];
+        if (!files) return;
+        
+        this.sendJSON({ type: 'cancel', offerId: offerId });
+        Events.fire('notify-user', files.length > 1 ? 'Nobody accepted the files in time.' : `Nobody accepted ${files[0].name} in time.`);
+        this._settleSentOffer(offerId, 'failed');
     }
   
     /**
-     * Process partition-received acknowledgment
-     * @param {Object} message - Partition received message
-     * @private
+     * Stop the timers of offers waiting for an answer once the connection is gone for good
      */
-    _onReceivedPartitionEnd(message) {
-        this.sendJSON({ type: 'partition-received', offset: message.offset });
+    destroy() {
+        Object.values(this._offerTimers).forEach(timer => clearTimeout(timer));
+        this._offerTimers = {};
     }
   
     /**
-     * Send the next file partition
+     * Queue the files the receiver accepted and start sending
+     * @param {Object} message - Transfer answer with the indices of the accepted files
      * @private
      */
-    _sendNextPartition() {
-        if (!this._chunker || this._chunker.isFileEnd()) return;
-        this._chunker.nextPartition();
+    _onTransferAnswer(message) {
+        const files = this._offers[message.offerId];
+        if (!files) return;
+        delete this._offers[message.offerId];
+        clearTimeout(this._offerTimers[message.offerId]);
+        delete this._offerTimers[message.offerId];
+        
+        const accepted = Array.isArray(message.accepted) ? message.accepted : [];
+        const indices = files.map((file, index) => index).filter(index => accepted.includes(index));
+        
+        if (!indices.length) {
+            Events.fire('notify-user', files.length > 1 ? 'The files were declined.' : `${files[0].name} was declined.`);
+            this._settleSentOffer(message.offerId, 'declined');
+            return;
+        }
+        this._accepted[message.offerId] = { remaining: indices.length, failed: 0 };
+        
+        // Fire event to show progress dialog
+        Events.fire('file-send-start', {
+            offerId: message.offerId,
+            files: indices.map(index => files[index]),
+            to: this._peerId
+        });
+        
+        indices.forEach(index => this._filesQueue.push({ file: files[index], offerId: message.offerId, index: index }));
+        
+        // Other offers being sent carry on alongside this one
+        this._dequeueFile(message.offerId, false);
     }
   
     /**
-     * Send progress update to receiver
-     * @param {number} progress - Progress value (0-1)
+     * Start sending the next queued file of an offer
+     * @param {string} offerId - Offer whose previous file is done
+     * @param {boolean} paused - True if the next file starts paused, as the last one was
      * @private
      */
-    _sendProgress(progress) {
-        this.sendJSON({ type: 'progress', progress: progress });
+    _dequeueFile(offerId, paused) {
+        const index = this._filesQueue.findIndex(entry => entry.offerId === offerId);
+        if (index < 0) return;
+        
+        const entry = this._filesQueue.splice(index, 1)[0];
+        this._sendFile(entry, paused);
     }
   
     /**
-     * Process incoming peer messages
-     * @param {string|ArrayBuffer} message - Received message
+     * Send a file to the peer
+     * @param {Object} entry - Queued file with the offer it was accepted from
+     * @param {boolean} paused - True to wait for the transfer to be continued before sending data
      * @private
      */
-    _onMessage(message) {
-        // Handle binary data (file chunk)
-        if (typeof message !== 'string') {
-            this._onChunkReceived(message);
-            return;
-        }
+    _sendFile(entry, paused) {
+        // Transfers carry an ID so they can pick up where they left off after a drop,
+        // and so the receiver can tell their chunks apart
+        const transfer = {
+            id: Peer._createTransferId(),
+            offerId: entry.offerId,
+            index: entry.index,
+            file: entry.file,
+            chunker: null,
+            resuming: false,
+            paused: paused,
+            held: false, // A partition is due but waits for the transfer to be continued
+            acknowledged: 0, // End of the last partition the receiver confirmed
+            hashing: Promise.resolve(), // Partition hashes go out in order
+            hashes: new Map() // Partition end offset -> SHA-256, for the file hash
+        };
+        this._transfers.set(transfer.id, transfer);
         
-        // Handle JSON messages
-        try {
-            message = JSON.parse(message);
-            console.log('Peer message:', message);
-            
-            switch (message.type) {
-                case 'header':
-                    this._onFileHeader(message);
-                    break;
-                case 'partition':
-                    this._onReceivedPartitionEnd(message);
-                    break;
-                case 'partition-received':
-                    this._sendNextPartition();
-                    break;
-                case 'progress':
-                    this._onDownloadProgress(message.progress);
-                    break;
-                case 'transfer-complete':
-                    this._onTransferCompleted();
-                    break;
-                case 'text':
-                    this._onTextReceived(message);
-                    break;
-                case 'heartbeat':
-                    // Just acknowledge heartbeats
-                    this.sendJSON({ type: 'heartbeat-ack' });
-                    break;
-                case 'heartbeat-ack':
-                    // Received acknowledgment of our heartbeat
-                    break;
-            }
-        } catch (e) {
-            console.error('Error processing peer message:', e);
-        }
+        this._sendHeader(transfer, false);
+        this._sendFrom(transfer, 0);
     }
   
     /**
-     * Process file header to start receiving a file
-     * @param {Object} header - File metadata
+     * Send the metadata header for a transfer
+     * @param {Object} transfer - File being sent
+     * @param {boolean} resume - True to ask the receiver where to continue from
      * @private
      */
-    _onFileHeader(header) {
-        this._lastProgress = 0;
-        
-        // Initialize file digester to assemble received chunks
-        this._digester = new FileDigester({
-            name: header.name,
-            mime: header.mime,
-            size: header.size,
-            sender: this._peerId
-        }, file => this._onFileReceived(file));
-        
-        // Fire event to show progress dialog
-        Events.fire('file-receive-start', {
-            header: header,
-            from: this._peerId
+    _sendHeader(transfer, resume) {
+        const file = transfer.file;
+        this.sendJSON({
+            type: 'header',
+            transferId: transfer.id,
+            offerId: transfer.offerId,
+            index: transfer.index,
+            name: file.name,
+            path: Peer._folderOf(file),
+            mime: file.type,
+            size: file.size,
+            resume: resume,
+            paused: transfer.paused
         });
     }
   
     /**
-     * Process received file chunk
-     * @param {ArrayBuffer} chunk - File data chunk
+     * Start sending a file from an offset
+     * @param {Object} transfer - File being sent
+     * @param {number} offset - First byte to send (always the end of a partition the receiver confirmed)
      * @private
      */
-    _onChunkReceived(chunk) {
-        if (!chunk.byteLength) return;
-        
-        // Add chunk to file digester
-        this._digester.unchunk(chunk);
+    _sendFrom(transfer, offset) {
+        if (transfer.chunker) transfer.chunker.stop();
         
-        // Calculate and report progress
-        const progress = this._digester.progress;
-        const bytesTransferred = this._digester ? Math.floor(this._digester.progress * this._digester._size) : 0;
+        const chunker = new FileChunker(
+            transfer.file,
+            chunk => this._send(Peer._tagChunk(transfer.id, chunk)),
+            (offset, chunks) => this._onPartitionEnd(transfer, chunker, offset, chunks),
+            offset,
+            this._chunkSize() - Peer.chunkTagSize,
+            next => this._whenWritable(next)
+        );
+        transfer.chunker = chunker;
+        transfer.acknowledged = offset;
+        transfer.held = false; // A partition held before this restart is replaced by this one
         
-        // Ensure we always pass bytesTransferred for speed calculations
-        this._onDownloadProgress(progress, bytesTransferred);
-    
-        // Notify sender about our progress occasionally (1% increments)
-        if (progress - this._lastProgress < 0.01) return;
-        this._lastProgress = progress;
-        this._sendProgress(progress);
+        // Anything still on its way from before is stale; the receiver drops it until this arrives
+        this.sendJSON({ type: 'transfer-seek', transferId: transfer.id, offset: offset });
+        this._sendNextPartition(transfer);
     }
   
     /**
-     * Handle download progress updates
-     * @param {number} progress - Progress value (0-1)
-     * @param {number} bytesTransferred - Bytes received so far
+     * Stop sending a file and ask the receiver how much of it it already has
+     * Anything after the last confirmed partition is thrown away on their end and sent again
+     * @param {Object} transfer - File being sent
      * @private
      */
-    _onDownloadProgress(progress, bytesTransferred = 0) {
-        // Ensure bytesTransferred is always a positive number
-        const bytes = Math.max(0, bytesTransferred);
-        
-        Events.fire('file-progress', { 
-            sender: this._peerId, 
-            progress: progress,
-            bytesTransferred: bytes
-        });
+    _resumeTransfer(transfer) {
+        if (transfer.chunker) transfer.chunker.stop();
+        transfer.resuming = true;
+        this._sendHeader(transfer, true);
     }
   
     /**
-     * Handle completed file reception
-     * @param {Object} proxyFile - Assembled file data
+     * Continue a transfer from where the receiver says it stopped
+     * @param {Object} message - Transfer offset message
      * @private
      */
-    _onFileReceived(proxyFile) {
-        Events.fire('file-received', proxyFile);
-        this.sendJSON({ type: 'transfer-complete' });
-        Events.fire('file-transfer-complete');
+    _onTransferOffset(message) {
+        const transfer = this._transfers.get(message.transferId);
+        if (!transfer || !transfer.resuming) return; // Answer to a resume request we already handled
+        
+        transfer.resuming = false;
+        this._sendFrom(transfer, message.offset);
     }
   
     /**
-     * Handle transfer completion acknowledgment
+     * Handle completion of a file partition
+     * Sends its hash so the receiver can check it, plus the file hash after the last one
+     * @param {Object} transfer - File being sent
+     * @param {FileChunker} chunker - Chunker that read the partition
+     * @param {number} offset - Current file offset
+     * @param {Array<ArrayBuffer>} chunks - Data of the partition
      * @private
      */
-    _onTransferCompleted() {
-        this._onDownloadProgress(1);
-        this._busy = false;
-        this._dequeueFile(); // Process next file in queue
-        Events.fire('notify-user', 'File transfer completed.');
-        Events.fire('file-transfer-complete');
+    _onPartitionEnd(transfer, chunker, offset, chunks) {
+        // The next partition doesn't wait for this one's hash or confirmation
+        this._sendNextPartition(transfer);
+        
+        transfer.hashing = transfer.hashing.then(() => sha256(chunks)).then(hash => {
+            // The transfer was resumed or finished while we were hashing
+            if (transfer.chunker !== chunker || transfer.resuming) return;
+            
+            transfer.hashes.set(offset, hash);
+            const message = { type: 'partition', transferId: transfer.id, offset: offset, hash: hash };
+            
+            if (offset < transfer.file.size) {
+                this.sendJSON(message);
+                return;
+            }
+            
+            const hashes = Array.from(transfer.hashes.keys())
+                .sort((a, b) => a - b)
+                .map(end => transfer.hashes.get(end));
+            return FileDigester.fileHash(hashes).then(fileHash => {
+                if (transfer.chunker !== chunker || transfer.resuming) return;
+                message.fileHash = fileHash;
+                this.sendJSON(message);
+            });
+        });
     }
   
     /**
-     * Send text message to peer
+     * Send a partition again after the receiver found it damaged
+     * @param {Object} message - Partition retry message
+     * @private
+     */
+    _onPartitionRetry(message) {
+        const transfer = this._transfers.get(message.transferId);
+        if (!transfer || transfer.resuming) return;
+        this._sendFrom(transfer, message.offset);
+    }
+  
+    /**
+     * Check a partition the sender says is complete, then confirm it
+     * @param {Object} message - Partition message with the partition's hash
+     * @private
+     */
+    _onReceivedPartitionEnd(message) {
+        const digester = this._digesters.get(message.transferId);
+        if (!digester || digester.finishing || digester.seeking) return;
+        
+        // Chunks went missing on the way, so go back to the last complete partition
+        const partition = digester.seal(message.offset);
+        if (!partition) {
+            this._requestTransferResume(digester);
+            return;
+        }
+        
+        // Partitions are checked in the order they arrived, while more data keeps coming
+        const generation = digester.generation;
+        digester.verifyPartition(partition, message.hash).then(valid => {
+            if (!this._isReceiving(digester) || digester.generation !== generation) return;
+            
+            if (!valid) {
+                this._onPartitionCorrupt(digester);
+                return;
+            }
+            
+            const last = message.offset === digester.size;
+            if (last) digester.finishing = true;
+            
+            // Confirm only once the partition is stored, so a slow disk holds the sender back
+            return digester.acknowledge(message.offset, message.hash, partition).then(() => {
+                if (!this._isReceiving(digester)) return;
+                
+                if (!last) {
+                    this.sendJSON({ type: 'partition-received', transferId: message.transferId, offset: message.offset });
+                    return;
+                }
+                
+                // That was the last one, so check the file as a whole
+                return digester.verifyFile(message.fileHash).then(valid => {
+                    if (!this._isReceiving(digester)) return;
+                    
+                    if (valid) {
+                        return digester.complete();
+                    } else {
+                        digester.fail();
+                    }
+                });
+            });
+        }).catch(e => this._onSaveError(digester, e));
+    }
+  
+    /**
+     * Check that a file is still being received, and not finished or thrown away meanwhile
+     * @param {FileDigester} digester - Digester of the file
+     * @returns {boolean} - True if it is still wanted
+     * @private
+     */
+    _isReceiving(digester) {
+        return this._digesters.get(digester.transferId) === digester;
+    }
+  
+    /**
+     * Stop receiving a file that can't be stored (e.g. the disk is full)
+     * @param {FileDigester} digester - Digester of the file
+     * @param {Error} error - Why writing failed
+     * @private
+     */
+    _onSaveError(digester, error) {
+        console.error(`Could not save ${digester.name}:`, error);
+        if (!this._isReceiving(digester)) return;
+        
+        this.sendJSON({ type: 'cancel', offerId: digester.offerId, transferId: digester.transferId });
+        this._stopReceiving(digester.offerId);
+        
+        Events.fire('file-transfer-cancelled', { peerId: this._peerId, offerId: digester.offerId });
+        Events.fire('notify-user', `Could not save ${digester.name}: ${error.message}`);
+    }
+  
+    /**
+     * Ask for a damaged partition again, or give up on the file after too many tries
+     * @param {FileDigester} digester - Digester of the file being received
+     * @private
+     */
+    _onPartitionCorrupt(digester) {
+        const offset = digester.rollback();
+        digester.reported = digester.progress;
+        
+        if (!digester.retry(offset)) {
+            digester.fail();
+            return;
+        }
+        
+        console.warn(`Partition at ${offset} of ${digester.name} failed verification, asking for it again`);
+        this.sendJSON({ type: 'partition-retry', transferId: digester.transferId, offset: offset });
+    }
+  
+    /**
+     * Note a partition the receiver confirmed, which makes room for more
+     * @param {Object} message - Partition received message
+     * @private
+     */
+    _onPartitionReceived(message) {
+        const transfer = this._transfers.get(message.transferId);
+        if (!transfer) return;
+        
+        transfer.acknowledged = Math.max(transfer.acknowledged, message.offset);
+        this._sendNextPartition(transfer);
+    }
+  
+    /**
+     * Start reading the next partition of a file if the receiver isn't too far behind
+     * Up to sendWindow bytes go out ahead of the receiver's confirmations, so the
+     * round trip for each one doesn't hold the transfer up
+     * @param {Object} transfer - File being sent
+     * @private
+     */
+    _sendNextPartition(transfer) {
+        const chunker = transfer.chunker;
+        if (transfer.resuming || !chunker || chunker.isReading() || chunker.isFinished()) return;
+        if (chunker.offset - transfer.acknowledged >= Peer.sendWindow) return;
+        
+        if (transfer.paused) {
+            transfer.held = true;
+            return;
+        }
+        chunker.nextPartition();
+    }
+  
+    /**
+     * Largest chunk to send in one message
+     * @returns {number} - Chunk size in bytes
+     * @private
+     */
+    _chunkSize() {
+        return 64000;
+    }
+  
+    /**
+     * Call back once the connection can take more data
+     * @param {Function} callback - Called when there is room
+     * @private
+     */
+    _whenWritable(callback) {
+        callback();
+    }
+  
+    /**
+     * Tell the sender how far we got with a file
+     * @param {FileDigester} digester - Digester of the file being received
+     * @private
+     */
+    _sendProgress(digester) {
+        this.sendJSON({ type: 'progress', transferId: digester.transferId, progress: digester.progress });
+    }
+  
+    /**
+     * Process incoming peer messages
+     * @param {string|ArrayBuffer} message - Received message
+     * @private
+     */
+    _onMessage(message) {
+        // Handle binary data (file chunk)
+        if (typeof message !== 'string') {
+            this._onChunkReceived(message);
+            return;
+        }
+        
+        // Handle JSON messages
+        try {
+            message = JSON.parse(message);
+            console.log('Peer message:', message);
+            
+            // IDs end up as keys and in the page, so anything but our own format is dropped
+            if (!Peer._isValidId(message.offerId) || !Peer._isValidId(message.transferId)) {
+                console.warn('Dropped peer message with a malformed ID:', message.type);
+                return;
+            }
+            
+            switch (message.type) {
+                case 'transfer-offer':
+                    this._onTransferOffer(message);
+                    break;
+                case 'transfer-answer':
+                    this._onTransferAnswer(message);
+                    break;
+                case 'header':
+                    this._onFileHeader(message);
+                    break;
+                case 'partition':
+                    this._onReceivedPartitionEnd(message);
+                    break;
+                case 'partition-received':
+                    this._onPartitionReceived(message);
+                    break;
+                case 'transfer-seek':
+                    this._onTransferSeek(message);
+                    break;
+                case 'transfer-offset':
+                    this._onTransferOffset(message);
+                    break;
+                case 'partition-retry':
+                    this._onPartitionRetry(message);
+                    break;
+                case 'transfer-resume':
+                    if (this._transfers.has(message.transferId)) this._resumeTransfer(this._transfers.get(message.transferId));
+                    break;
+                case 'progress':
+                    // Late reports for a transfer we already stopped would bring the progress ring back
+                    if (this._transfers.has(message.transferId)) {
+                        this._onTransferProgress(this._transfers.get(message.transferId).offerId, message.transferId, true, message.progress);
+                    }
+                    break;
+                case 'transfer-complete':
+                case 'transfer-error':
+                case 'transfer-rejected':
+                    this._onTransferCompleted(message);
+                    break;
+                case 'cancel':
+                    this._onCancel(message);
+                    break;
+                case 'pause':
+                case 'continue':
+                    this._onPause(message);
+                    break;
+                case 'text':
+                    this._onTextReceived(message);
+                    break;
+                case 'heartbeat':
+                    // Just acknowledge heartbeats
+                    this.sendJSON({ type: 'heartbeat-ack' });
+                    break;
+                case 'heartbeat-ack':
+                    // Received acknowledgment of our heartbeat
+                    break;
+            }
+        } catch (e) {
+            console.error('Error processing peer message:', e);
+        }
+    }
+  
+    /**
+     * Ask the user which of the offered files to receive
+     * @param {Object} message - Transfer offer with the list of files
+     * @private
+     */
+    _onTransferOffer(message) {
+        if (!message.offerId || !Array.isArray(message.files) || !message.files.length) return;
+        if (this._incomingOffers[message.offerId]) return; // Offer IDs are never reused
+        
+        const files = message.files.map(file => ({
+            name: String(file.name),
+            path: Peer._cleanFolder(file.path),
+            size: Math.max(0, Number(file.size) || 0),
+            mime: String(file.mime || '')
+        }));
+        this._incomingOffers[message.offerId] = { files: files, accepted: [] };
+        
+        // Add the sizes up ourselves rather than trusting the sender's total
+        Events.fire('file-offer', {
+            offerId: message.offerId,
+            files: files,
+            total: files.reduce((total, file) => total + file.size, 0),
+            from: this._peerId
+        });
+    }
+  
+    /**
+     * Tell the sender which offered files the user wants
+     * @param {string} offerId - ID of the offer
+     * @param {Array<number>} accepted - Indices of the accepted files (empty to decline)
+     * @param {FileSystemDirectoryHandle} [directory] - Folder to save the files into
+     */
+    answerOffer(offerId, accepted, directory) {
+        const offer = this._incomingOffers[offerId];
+        if (!offer) return;
+        
+        offer.directory = directory;
+        offer.accepted = accepted.filter(index => index >= 0 && index < offer.files.length);
+        offer.acceptedCount = offer.accepted.length; // Files still to come are counted down in accepted
+        if (!offer.accepted.length) delete this._incomingOffers[offerId];
+        
+        this.sendJSON({ type: 'transfer-answer', offerId: offerId, accepted: offer.accepted });
+    }
+  
+    /**
+     * Check that a header is for a file the user accepted
+     * @param {Object} header - File metadata
+     * @returns {boolean} - True if the file may be received
+     * @private
+     */
+    _isAccepted(header) {
+        const offer = this._incomingOffers[header.offerId];
+        if (!offer || !offer.accepted.includes(header.index)) return false;
+        
+        const file = offer.files[header.index];
+        return file.name === header.name && file.path === Peer._cleanFolder(header.path) && file.size === header.size;
+    }
+  
+    /**
+     * Forget an accepted file once it has been received
+     * @param {string} offerId - ID of the offer
+     * @param {number} index - Index of the file in the offer
+     * @private
+     */
+    _settleOffer(offerId, index) {
+        const offer = this._incomingOffers[offerId];
+        if (!offer) return;
+        
+        offer.accepted = offer.accepted.filter(accepted => accepted !== index);
+        if (!offer.accepted.length) delete this._incomingOffers[offerId];
+    }
+  
+    /**
+     * Process file header to start receiving a file
+     * @param {Object} header - File metadata
+     * @private
+     */
+    _onFileHeader(header) {
+        if (header.resume && this._onResumeHeader(header)) return;
+        
+        // Nobody gets to push a file we did not agree to
+        if (!this._isAccepted(header)) {
+            console.warn(`Rejected ${header.name} from ${this._peerId}: it was not accepted`);
+            this.sendJSON({ type: 'transfer-rejected', transferId: header.transferId });
+            return;
+        }
+        
+        if (!header.transferId || this._digesters.has(header.transferId)) return;
+        
+        // The sender started this file over, so what we had of it goes
+        this._digesters.forEach(digester => {
+            if (digester.offerId !== header.offerId || digester.index !== header.index) return;
+            digester.discard();
+            this._digesters.delete(digester.transferId);
+        });
+        
+        const offer = this._incomingOffers[header.offerId];
+        
+        // Initialize file digester to assemble received chunks; other files from the peer carry on
+        const digester = new FileDigester({
+            transferId: header.transferId,
+            offerId: header.offerId,
+            index: header.index,
+            name: header.name,
+            path: offer.files[header.index].path,
+            mime: header.mime,
+            size: header.size,
+            sender: this._peerId,
+            paused: header.paused,
+            directory: offer.directory
+        }, file => this._onFileReceived(digester, file));
+        this._digesters.set(header.transferId, digester);
+        
+        // We don't know this transfer (anymore), so it starts over
+        if (header.resume) {
+            this.sendJSON({ type: 'transfer-offset', transferId: header.transferId, offset: 0 });
+        }
+        
+        // Fire event to show progress dialog
+        Events.fire('file-receive-start', {
+            header: header,
+            from: this._peerId,
+            fileNumber: offer.acceptedCount - offer.accepted.length + 1,
+            fileCount: offer.acceptedCount
+        });
+    }
+  
+    /**
+     * Answer a sender that wants to continue a transfer
+     * @param {Object} header - File header with the resume flag set
+     * @returns {boolean} - True if the transfer was known and has been answered
+     * @private
+     */
+    _onResumeHeader(header) {
+        // We are done with the file, the sender just missed our answer
+        if (this._finishedTransfers.has(header.transferId)) {
+            this.sendJSON(this._finishedTransfers.get(header.transferId));
+            return true;
+        }
+        
+        const digester = this._digesters.get(header.transferId);
+        if (!digester) return false;
+        
+        // Partitions that arrived whole are still worth keeping, so finish checking them first
+        digester.settle().then(() => {
+            // Everything is verified and being saved; the answer follows once it is
+            if (!this._isReceiving(digester) || digester.finishing) return;
+            
+            // Keep only the partitions we confirmed and ask for the rest
+            const offset = digester.rollback();
+            digester.reported = digester.progress;
+            this.sendJSON({ type: 'transfer-offset', transferId: header.transferId, offset: offset });
+        });
+        return true;
+    }
+  
+    /**
+     * Ask the sender to continue a file we are receiving from the last confirmed partition
+     * @param {FileDigester} digester - Digester of the file
+     * @private
+     */
+    _requestTransferResume(digester) {
+        if (digester.finishing) return;
+        
+        // Whatever arrives before the sender starts over is dropped
+        digester.rollback();
+        digester.reported = digester.progress;
+        this.sendJSON({ type: 'transfer-resume', transferId: digester.transferId });
+    }
+  
+    /**
+     * Start taking data again once the sender says where it continues from
+     * @param {Object} message - Transfer seek message
+     * @private
+     */
+    _onTransferSeek(message) {
+        const digester = this._digesters.get(message.transferId);
+        if (!digester || !digester.seeking) return;
+        
+        // Not where we asked to continue from, so ask again
+        if (message.offset !== digester.acknowledged) {
+            this._requestTransferResume(digester);
+            return;
+        }
+        digester.seeking = false;
+    }
+  
+    /**
+     * Pick up interrupted transfers in both directions after the connection came back
+     */
+    resumeTransfers() {
+        this._transfers.forEach(transfer => this._resumeTransfer(transfer));
+        this._digesters.forEach(digester => this._requestTransferResume(digester));
+    }
+  
+    /**
+     * Process received file chunk
+     * @param {ArrayBuffer} data - Transfer ID followed by a chunk of its file
+     * @private
+     */
+    _onChunkReceived(data) {
+        if (data.byteLength <= Peer.chunkTagSize) return;
+        
+        const transferId = Array.from(new Uint8Array(data, 0, Peer.chunkTagSize), b => b.toString(16).padStart(2, '0')).join('');
+        const digester = this._digesters.get(transferId);
+        if (!digester || digester.seeking) return;
+        
+        // Add chunk to file digester (which is let go once the file is complete)
+        digester.unchunk(data.slice(Peer.chunkTagSize));
+        
+        // Calculate and report progress
+        const progress = digester.progress;
+        const bytesTransferred = Math.floor(digester.progress * digester._size);
+        
+        // Ensure we always pass bytesTransferred for speed calculations
+        this._onTransferProgress(digester.offerId, digester.transferId, false, progress, bytesTransferred);
+    
+        // Notify sender about our progress occasionally (1% increments)
+        if (progress - digester.reported < 0.01) return;
+        digester.reported = progress;
+        this._sendProgress(digester);
+    }
+  
+    /**
+     * Report how far a file has got, in either direction
+     * @param {string} offerId - Offer the file belongs to
+     * @param {string} transferId - Transfer of the file
+     * @param {boolean} sending - True if we are the sender
+     * @param {number} progress - Progress value (0-1)
+     * @param {number} bytesTransferred - Bytes received so far
+     * @private
+     */
+    _onTransferProgress(offerId, transferId, sending, progress, bytesTransferred = 0) {
+        // Ensure bytesTransferred is always a positive number
+        const bytes = Math.max(0, bytesTransferred);
+        
+        Events.fire('file-progress', { 
+            sender: this._peerId, 
+            offerId: offerId,
+            transferId: transferId,
+            sending: sending,
+            progress: progress,
+            bytesTransferred: bytes
+        });
+    }
+  
+    /**
+     * Handle completed file reception
+     * Damaged files are still shown, marked as corrupt and without data
+     * @param {FileDigester} digester - Digester that assembled the file
+     * @param {Object} proxyFile - Assembled file data
+     * @private
+     */
+    _onFileReceived(digester, proxyFile) {
+        const answer = {
+            type: proxyFile.corrupt ? 'transfer-error' : 'transfer-complete',
+            transferId: digester.transferId
+        };
+        this._finishedTransfers.set(digester.transferId, answer);
+        this._settleOffer(digester.offerId, digester.index);
+        this._digesters.delete(digester.transferId);
+        
+        Events.fire('file-received', proxyFile);
+        this.sendJSON(answer);
+        Events.fire('file-transfer-complete', { peerId: this._peerId, offerId: digester.offerId, transferId: digester.transferId });
+    }
+  
+    /**
+     * Handle transfer completion acknowledgment
+     * @param {Object} message - Transfer complete, error or rejected message
+     * @private
+     */
+    _onTransferCompleted(message) {
+        const transfer = this._transfers.get(message.transferId);
+        if (!transfer) return;
+        const file = transfer.file;
+        const offer = this._accepted[transfer.offerId];
+        if (offer) {
+            offer.remaining--;
+            if (message.type !== 'transfer-complete') offer.failed++;
+            if (!offer.remaining) this._settleSentOffer(transfer.offerId, offer.failed ? 'failed' : 'sent');
+        }
+        this._dropTransfer(transfer);
+        
+        this._onTransferProgress(transfer.offerId, transfer.id, true, 1);
+        
+        // Send the offer's next file, which stays paused if this one was
+        this._dequeueFile(transfer.offerId, transfer.paused);
+        
+        if (message.type === 'transfer-error') {
+            Events.fire('notify-user', `${file.name} arrived damaged. Please send it again.`);
+        } else if (message.type === 'transfer-rejected') {
+            Events.fire('notify-user', `${file.name} was not accepted.`);
+        } else {
+            Events.fire('notify-user', 'File transfer completed.');
+        }
+        Events.fire('file-transfer-complete', { peerId: this._peerId, offerId: transfer.offerId, transferId: transfer.id });
+    }
+  
+    /**
+     * Stop the files of an offer, in whichever direction they go
+     * Other transfers with the peer carry on
+     * @param {string} offerId - ID of the offer
+     */
+    cancelTransfer(offerId) {
+        const transfer = this._transferOf(offerId);
+        const digester = this._digesterOf(offerId);
+        if (transfer) {
+            this.sendJSON({ type: 'cancel', offerId: offerId, transferId: transfer.id });
+            this._stopSending(offerId);
+        } else if (this._filesQueue.some(entry => entry.offerId === offerId)) {
+            // None of its files has started yet, but the receiver is expecting them
+            this.sendJSON({ type: 'cancel', offerId: offerId });
+            this._stopSending(offerId);
+        } else if (this._offers[offerId]) {
+            // Not answered yet, so the receiver only has to drop the offer
+            this.sendJSON({ type: 'cancel', offerId: offerId });
+            this._settleSentOffer(offerId, 'cancelled');
+        } else if (digester) {
+            this.sendJSON({ type: 'cancel', offerId: offerId, transferId: digester.transferId });
+            this._stopReceiving(offerId);
+        } else if (this._incomingOffers[offerId] && this._incomingOffers[offerId].accepted.length) {
+            // Accepted, but the sender hasn't got to its files yet
+            this.sendJSON({ type: 'cancel', offerId: offerId });
+            delete this._incomingOffers[offerId];
+        } else {
+            return;
+        }
+        
+        Events.fire('file-transfer-cancelled', { peerId: this._peerId, offerId: offerId });
+        Events.fire('notify-user', 'Transfer cancelled.');
+    }
+  
+    /**
+     * Handle the peer cancelling a transfer
+     * @param {Object} message - Cancel message
+     * @private
+     */
+    _onCancel(message) {
+        let name = 'the transfer';
+        let offerId = message.offerId;
+        
+        // The receiver may cancel before our header reached it, knowing only the offer
+        const transfer = this._transfers.get(message.transferId) || this._transferOf(offerId);
+        const digester = this._digesters.get(message.transferId);
+        if (transfer) {
+            name = transfer.file.name;
+            offerId = transfer.offerId;
+            this._stopSending(offerId);
+        } else if (this._filesQueue.some(entry => entry.offerId === offerId)) {
+            // The receiver dropped files it accepted before we got to them
+            this._stopSending(offerId);
+        } else if (digester) {
+            name = digester.name;
+            offerId = digester.offerId;
+            this._stopReceiving(offerId);
+        } else if (this._incomingOffers[offerId]) {
+            // The sender withdrew the offer, or dropped files we accepted before getting to them
+            delete this._incomingOffers[offerId];
+        } else {
+            return;
+        }
+        
+        Events.fire('file-transfer-cancelled', { peerId: this._peerId, offerId: offerId });
+        Events.fire('notify-user', `The other device cancelled ${name}.`);
+    }
+  
+    /**
+     * Pause or continue the files of an offer, in whichever direction they go
+     * The sender holds back the next partition, so data still in flight arrives first
+     * @param {string} offerId - ID of the offer
+     * @param {boolean} paused - True to pause, false to continue
+     */
+    pauseTransfer(offerId, paused) {
+        const type = paused ? 'pause' : 'continue';
+        const transfer = this._transferOf(offerId);
+        const digester = this._digesterOf(offerId);
+        if (transfer) {
+            this.sendJSON({ type: type, transferId: transfer.id });
+            this._setSendPaused(transfer, paused);
+        } else if (digester) {
+            this.sendJSON({ type: type, transferId: digester.transferId });
+            digester.paused = paused;
+        } else {
+            return;
+        }
+        
+        Events.fire('file-transfer-paused', { peerId: this._peerId, offerId: offerId, paused: paused });
+    }
+  
+    /**
+     * Handle the peer pausing or continuing a transfer
+     * @param {Object} message - Pause or continue message
+     * @private
+     */
+    _onPause(message) {
+        const paused = message.type === 'pause';
+        const transfer = this._transfers.get(message.transferId);
+        const digester = this._digesters.get(message.transferId);
+        let offerId;
+        
+        if (transfer) {
+            offerId = transfer.offerId;
+            this._setSendPaused(transfer, paused);
+        } else if (digester) {
+            offerId = digester.offerId;
+            digester.paused = paused;
+        } else {
+            return;
+        }
+        
+        Events.fire('file-transfer-paused', { peerId: this._peerId, offerId: offerId, paused: paused });
+        Events.fire('notify-user', paused ? 'The other device paused the transfer.' : 'The other device continued the transfer.');
+    }
+  
+    /**
+     * Hold or release the partitions of a file being sent
+     * @param {Object} transfer - File being sent
+     * @param {boolean} paused - True to hold
+     * @private
+     */
+    _setSendPaused(transfer, paused) {
+        transfer.paused = paused;
+        if (paused || !transfer.held || transfer.resuming) return;
+        
+        transfer.held = false;
+        this._sendNextPartition(transfer);
+    }
+  
+    /**
+     * Find the file of an offer being sent
+     * @param {string} offerId - ID of the offer
+     * @returns {Object|undefined} - Transfer, if one of its files is on its way
+     * @private
+     */
+    _transferOf(offerId) {
+        return Array.from(this._transfers.values()).find(transfer => transfer.offerId === offerId);
+    }
+  
+    /**
+     * Find the file of an offer being received
+     * @param {string} offerId - ID of the offer
+     * @returns {FileDigester|undefined} - Digester, if one of its files is arriving
+     * @private
+     */
+    _digesterOf(offerId) {
+        return Array.from(this._digesters.values()).find(digester => digester.offerId === offerId);
+    }
+  
+    /**
+     * Stop reading a file and forget it
+     * @param {Object} transfer - File being sent
+     * @private
+     */
+    _dropTransfer(transfer) {
+        if (transfer.chunker) transfer.chunker.stop();
+        transfer.chunker = null;
+        this._transfers.delete(transfer.id);
+    }
+  
+    /**
+     * Stop sending the files of an offer; other offers carry on
+     * @param {string} offerId - ID of the offer
+     * @private
+     */
+    _stopSending(offerId) {
+        const transfer = this._transferOf(offerId);
+        if (transfer) this._dropTransfer(transfer);
+        
+        this._filesQueue = this._filesQueue.filter(entry => entry.offerId !== offerId);
+        if (this._accepted[offerId]) this._settleSentOffer(offerId, 'cancelled');
+    }
+  
+    /**
+     * Throw away the file of an offer being received
+     * @param {string} offerId - ID of the offer
+     * @private
+     */
+    _stopReceiving(offerId) {
+        const digester = this._digesterOf(offerId);
+        if (digester) {
+            digester.discard();
+            this._digesters.delete(digester.transferId);
+        }
+        
+        // The rest of the offer is not wanted either, so later headers for it are rejected
+        delete this._incomingOffers[offerId];
+    }
+  
+    /**
+     * Send text message to peer
      * @param {string} text - Text to send
      */
     sendText(text) {
@@ -462,6 +1599,83 @@ class Peer {
         const escaped = decodeURIComponent(escape(atob(message.text)));
         Events.fire('text-received', { text: escaped, sender: this._peerId });
     }
+  
+    /**
+     * Generate a random ID for a file transfer
+     * @returns {string} - Hex encoded transfer ID
+     * @private
+     */
+    static _createTransferId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(Peer.chunkTagSize));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * Check an offer or transfer ID from the peer; messages without one pass
+     * @param {*} id - ID from the peer
+     * @returns {boolean} - True if it is missing or looks like one of ours
+     * @private
+     */
+    static _isValidId(id) {
+        return id === undefined || (typeof id === 'string' && /^[0-9a-f]{16}$/.test(id));
+    }
+    
+    /**
+     * Put the transfer ID in front of a chunk, so files sent side by side can be told apart
+     * @param {string} transferId - Hex encoded transfer ID
+     * @param {ArrayBuffer} chunk - File data chunk
+     * @returns {ArrayBuffer} - Tagged chunk
+     * @private
+     */
+    static _tagChunk(transferId, chunk) {
+        const data = new Uint8Array(Peer.chunkTagSize + chunk.byteLength);
+        for (let i = 0; i < Peer.chunkTagSize; i++) {
+            data[i] = parseInt(transferId.substr(i * 2, 2), 16);
+        }
+        data.set(new Uint8Array(chunk), Peer.chunkTagSize);
+        return data.buffer;
+    }
+    
+    /**
+     * Folder a file was picked or dropped from, relative to what the user chose
+     * @param {File} file - File to send
+     * @returns {string} - Folder path like "Photos/2024", or empty for a loose file
+     * @private
+     */
+    static _folderOf(file) {
+        const path = file.relativePath || file.webkitRelativePath || '';
+        return path.split('/').slice(0, -1).join('/');
+    }
+    
+    /**
+     * Clean up a folder path from the sender so it stays inside wherever it is saved
+     * @param {*} path - Folder path from the sender
+     * @returns {string} - Folder path without empty, "." or ".." parts, or empty
+     * @private
+     */
+    static _cleanFolder(path) {
+        if (typeof path !== 'string') return '';
+        return path.split(/[\\/]/)
+            .map(part => part.replace(/[\x00-\x1f]/g, '_').trim())
+            .filter(part => part && part !== '.' && part !== '..')
+            .join('/');
+    }
+    
+    /**
+     * Bytes that may be sent ahead of the receiver's confirmations
+     * This is also about how much the receiver holds in memory before it can check it
+     */
+    static sendWindow = 4 * 1024 * 1024;
+    
+    /**
+     * How long an offer waits for an answer before it counts as failed
+     */
+    static offerTimeout = 5 * 60 * 1000;
+    
+    /**
+     * Bytes of transfer ID in front of every chunk (and in every ID, hex encoded)
+     */
+    static chunkTagSize = 8;
 }
   
 // ======================================================================
@@ -482,21 +1696,35 @@ class RTCPeer extends Peer {
         // Initialize heartbeat interval
         this._heartbeatInterval = null;
         
+        // Signals that arrive while we wait for ICE servers
+        this._pendingSignals = [];
+        this._opening = false;
+        
         if (!peerId) return; // We will listen for a caller
         this._connect(peerId, true);
     }
   
     /**
      * WebRTC configuration options
+     * ICE servers are filled in from the server config at startup and
+     * replaced with fresh TURN credentials for each connection
      */
     static config = {
         'sdpSemantics': 'unified-plan',
-        'iceServers': [
-            {
-                urls: 'stun:stun.l.google.com:19302'
-            }
-        ]
+        'iceServers': []
     };
+    
+    /**
+     * Largest chunk we send, even if the remote end accepts more
+     * Bigger messages block the channel for longer without making it faster
+     */
+    static maxChunkSize = 256 * 1024;
+    
+    /**
+     * Data channel send buffer limits: sending waits above bufferHigh until it drains to bufferLow
+     */
+    static bufferHigh = 4 * 1024 * 1024;
+    static bufferLow = 1024 * 1024;
   
     /**
      * Establish or configure a WebRTC connection
@@ -505,7 +1733,10 @@ class RTCPeer extends Peer {
      * @private
      */
     _connect(peerId, isCaller) {
-        if (!this._conn) this._openConnection(peerId, isCaller);
+        if (!this._conn) {
+            this._requestConnection(peerId, isCaller);
+            return;
+        }
   
         if (isCaller) {
             this._openChannel();
@@ -514,16 +1745,44 @@ class RTCPeer extends Peer {
         }
     }
   
+    /**
+     * Fetch ICE servers, then open the connection
+     * TURN credentials expire, so every connection gets its own
+     * @param {string} peerId - ID of the remote peer
+     * @param {boolean} isCaller - True if this peer is initiating the connection
+     * @private
+     */
+    _requestConnection(peerId, isCaller) {
+        this._isCaller = isCaller;
+        this._peerId = peerId;
+        if (this._opening) return;
+        
+        this._opening = true;
+        this._server.requestIceServers().then(iceServers => {
+            this._opening = false;
+            if (this._destroyed || this._conn) return;
+            
+            this._openConnection(peerId, this._isCaller, iceServers);
+            this._connect(peerId, this._isCaller);
+            
+            // Handle signals that arrived in the meantime
+            const signals = this._pendingSignals;
+            this._pendingSignals = [];
+            signals.forEach(message => this.onServerMessage(message));
+        });
+    }
+  
     /**
      * Initialize a new RTCPeerConnection
      * @param {string} peerId - ID of the remote peer
      * @param {boolean} isCaller - True if this peer is initiating the connection
+     * @param {Array<Object>} iceServers - STUN/TURN servers to use
      * @private
      */
-    _openConnection(peerId, isCaller) {
+    _openConnection(peerId, isCaller, iceServers) {
         this._isCaller = isCaller;
         this._peerId = peerId;
-        this._conn = new RTCPeerConnection(RTCPeer.config);
+        this._conn = new RTCPeerConnection(Object.assign({}, RTCPeer.config, { iceServers }));
         
         // Set up event handlers
         this._conn.onicecandidate = e => this._onIceCandidate(e);
@@ -574,7 +1833,11 @@ class RTCPeer extends Peer {
      * @param {Object} message - Signaling message
      */
     onServerMessage(message) {
-        if (!this._conn) this._connect(message.sender, false);
+        if (!this._conn) {
+            this._pendingSignals.push(message);
+            this._connect(message.sender, false);
+            return;
+        }
   
         if (message.sdp) {
             this._conn.setRemoteDescription(new RTCSessionDescription(message.sdp))
@@ -610,6 +1873,9 @@ class RTCPeer extends Peer {
         
         // Notify that the connection is established
         Events.fire('peer-connection-established', this._peerId);
+        
+        // Whoever is sending continues interrupted files from the last confirmed partition
+        this._transfers.forEach(transfer => this._resumeTransfer(transfer));
     }
   
     /**
@@ -700,10 +1966,52 @@ class RTCPeer extends Peer {
      * @private
      */
     _send(message) {
-        if (!this._channel) return this.refresh();
+        // Sending on a channel that is not open throws; transfers resume once it is back
+        if (!this._isConnected()) return this.refresh();
         this._channel.send(message);
     }
   
+    /**
+     * Largest chunk the remote end accepts, as negotiated for the SCTP transport
+     * @returns {number} - Chunk size in bytes
+     * @private
+     */
+    _chunkSize() {
+        const sctp = this._conn && this._conn.sctp;
+        if (!sctp || !sctp.maxMessageSize) return super._chunkSize();
+        return Math.min(sctp.maxMessageSize, RTCPeer.maxChunkSize);
+    }
+  
+    /**
+     * Call back once the data channel's send buffer has drained enough
+     * Keeps the browser's buffer full enough for fast links without letting it grow without bound
+     * @param {Function} callback - Called when there is room
+     * @private
+     */
+    _whenWritable(callback) {
+        const channel = this._channel;
+        if (!channel || channel.bufferedAmount < RTCPeer.bufferHigh) {
+            callback();
+            return;
+        }
+        
+        // A channel that closes never drains, so stop waiting; the transfer resumes on the next one
+        const onLow = () => {
+            stop();
+            callback();
+        };
+        const stop = () => {
+            channel.removeEventListener('bufferedamountlow', onLow);
+            channel.removeEventListener('close', stop);
+            channel.removeEventListener('error', stop);
+        };
+        
+        channel.bufferedAmountLowThreshold = RTCPeer.bufferLow;
+        channel.addEventListener('bufferedamountlow', onLow);
+        channel.addEventListener('close', stop);
+        channel.addEventListener('error', stop);
+    }
+  
     /**
      * Send signaling data via the server
      * @param {Object} signal - Signal data
@@ -746,6 +2054,8 @@ class RTCPeer extends Peer {
      * Clean up resources when connection is destroyed
      */
     destroy() {
+        super.destroy();
+        this._destroyed = true;
         this._stopHeartbeat();
         if (this._channel) {
             this._channel.onclose = null;
@@ -776,13 +2086,44 @@ class WSPeer extends Peer {
     
     /**
      * Send data via the server
+     * Text is wrapped in a relay message, binary data goes out as a relay frame
      * @param {string|ArrayBuffer} message - Data to send
      * @private
      */
     _send(message) {
-        message.to = this._peerId;
-        this._server.send(message);
+        if (typeof message === 'string') {
+            this._server.send({ type: 'relay', to: this._peerId, data: message });
+        } else {
+            this._server.sendFrame(this._peerId, message);
+        }
     }
+  
+    /**
+     * Process data relayed by the server
+     * @param {string|ArrayBuffer} data - Relayed data
+     */
+    onServerMessage(data) {
+        this._onMessage(data);
+    }
+  
+    /**
+     * Call back once the server connection's send buffer has drained enough
+     * WebSockets have no event for this, so check again shortly
+     * @param {Function} callback - Called when there is room
+     * @private
+     */
+    _whenWritable(callback) {
+        if (this._server.bufferedAmount < WSPeer.bufferHigh) {
+            callback();
+            return;
+        }
+        setTimeout(() => this._whenWritable(callback), 20);
+    }
+    
+    /**
+     * Server connection send buffer above which sending waits
+     */
+    static bufferHigh = 1024 * 1024;
     
     /**
      * Refresh connection if needed
@@ -810,12 +2151,34 @@ class PeersManager {
         this.peers = {};
         this._server = serverConnection;
         
+        // Only the active tab of this device holds connections to other peers
+        this._active = true;
+        
+        // Peers in our room, so a standby tab can connect once the user picks one
+        this._known = {};
+        
+        // Offers sent to several peers at once, each a map of offer ID -> peer ID and outcome
+        this._batches = [];
+        
         // Set up event listeners
         Events.on('signal', e => this._onMessage(e.detail));
+        Events.on('relay', e => this._onRelay(e.detail));
         Events.on('peers', e => this._onPeers(e.detail));
         Events.on('files-selected', e => this._onFilesSelected(e.detail));
+        Events.on('file-offer-answer', e => this._onFileOfferAnswer(e.detail));
+        Events.on('file-offer-settled', e => this._onOfferSettled(e.detail));
+        Events.on('cancel-transfer', e => this._onCancelTransfer(e.detail));
+        Events.on('pause-transfer', e => this._onPauseTransfer(e.detail));
         Events.on('send-text', e => this._onSendText(e.detail));
-        Events.on('peer-left', e => this._onPeerLeft(e.detail));
+        Events.on('peer-joined', e => this._known[e.detail.id] = e.detail);
+        Events.on('peer-left', e => {
+            delete this._known[e.detail];
+            this._onPeerLeft(e.detail);
+        });
+        Events.on('peer-session-changed', e => this._onPeerSessionChanged(e.detail));
+        Events.on('session-state', e => this._onSessionState(e.detail));
+        Events.on('session-handover', () => this._onSessionHandover());
+        Events.on('server-connected', () => this._onServerConnected());
     }
   
     /**
@@ -831,40 +2194,204 @@ class PeersManager {
     }
   
     /**
-     * Handle peer discovery updates
-     * @param {Array} peers - List of available peers
+     * Handle data relayed through the server by a WebSocket fallback peer
+     * @param {Object} message - Sender ID and data
+     * @private
+     */
+    _onRelay(message) {
+        if (!(this.peers[message.sender] instanceof WSPeer)) {
+            this._onPeerLeft(message.sender);
+            this.peers[message.sender] = new WSPeer(this._server, message.sender);
+        }
+        this.peers[message.sender].onServerMessage(message.data);
+    }
+  
+    /**
+     * Handle peer discovery updates
+     * @param {Array} peers - List of available peers
+     * @private
+     */
+    _onPeers(peers) {
+        // Drop connections to peers that are no longer in our room
+        const ids = peers.map(peer => peer.id);
+        Object.keys(this.peers)
+            .filter(peerId => !ids.includes(peerId))
+            .forEach(peerId => this._onPeerLeft(peerId));
+        
+        this._known = {};
+        peers.forEach(peer => this._known[peer.id] = peer);
+        
+        if (!this._active) return;
+        peers.forEach(peer => this._connectTo(peer.id));
+    }
+  
+    /**
+     * Continue relayed transfers that were cut off while we were disconnected
+     * @private
+     */
+    _onServerConnected() {
+        Object.values(this.peers)
+            .filter(peer => peer instanceof WSPeer)
+            .forEach(peer => peer.resumeTransfers());
+    }
+  
+    /**
+     * Get the connection to a peer, opening one if needed
+     * @param {string} peerId - ID of the remote peer
+     * @returns {Peer|undefined} - Peer connection
+     * @private
+     */
+    _connectTo(peerId) {
+        if (this.peers[peerId]) {
+            this.peers[peerId].refresh();
+            return this.peers[peerId];
+        }
+        
+        const peer = this._known[peerId];
+        if (!peer) return;
+        
+        // Create appropriate peer type based on capabilities
+        if (window.RTCPeerConnection && peer.rtcSupported) {
+            this.peers[peerId] = new RTCPeer(this._server, peerId);
+        } else {
+            this.peers[peerId] = new WSPeer(this._server, peerId);
+        }
+        return this.peers[peerId];
+    }
+  
+    /**
+     * Handle this tab gaining or losing the right to talk for the device
+     * @param {boolean} active - True if this tab is now active
+     * @private
+     */
+    _onSessionState(active) {
+        this._active = active;
+        if (active) return; // The server follows up with the peer list
+        
+        // Another tab took over, so let its connections replace ours
+        Object.keys(this.peers).forEach(peerId => this._onPeerLeft(peerId));
+    }
+  
+    /**
+     * Let another tab of this device take over, unless that would cut off our transfers
+     * The server asks again the next time that tab is focused
+     * @private
+     */
+    _onSessionHandover() {
+        if (Object.values(this.peers).some(peer => peer.isBusy())) return;
+        this._server.send({ type: 'session-release' });
+    }
+  
+    /**
+     * Check that this tab talks for the device, asking to take over if it doesn't
+     * Another tab keeps the device until its transfers are done
+     * @returns {boolean} - True if this tab can reach other devices
+     * @private
+     */
+    _ensureActive() {
+        if (this._active) return true;
+        
+        this._server.send({ type: 'session-active' });
+        Events.fire('notify-user', 'Another drpl.co tab is busy with a transfer. Try again when it is done.');
+        return false;
+    }
+  
+    /**
+     * Handle another device switching to a different tab
+     * @param {string} peerId - ID of the remote device
+     * @private
+     */
+    _onPeerSessionChanged(peerId) {
+        // The new tab calls us, so drop the connection to the old one
+        if (this.peers[peerId] instanceof RTCPeer) {
+            this._onPeerLeft(peerId);
+        }
+    }
+  
+    /**
+     * Handle file selection for sending
+     * @param {Object} message - File selection message
+     * @private
+     */
+    _onFilesSelected(message) {
+        if (!this._ensureActive()) return;
+        
+        const targets = [].concat(message.to);
+        const batch = new Map();
+        
+        // Offer the files first; they are sent once the receiver accepts
+        targets.forEach(peerId => {
+            const peer = this._connectTo(peerId);
+            if (peer) batch.set(peer.offerFiles(message.files), { peerId: peerId, status: null });
+        });
+        
+        if (!batch.size) {
+            Events.fire('notify-user', 'The selected devices are no longer available.');
+        } else if (batch.size > 1) {
+            this._batches.push(batch);
+            Events.fire('notify-user', `Waiting for ${batch.size} devices to accept...`);
+        } else {
+            Events.fire('notify-user', 'Waiting for the other device to accept...');
+        }
+    }
+  
+    /**
+     * Record how an offer that was part of a batch ended, and sum the batch up once all have
+     * @param {Object} message - Offer ID and outcome
+     * @private
+     */
+    _onOfferSettled(message) {
+        const batch = this._batches.find(batch => batch.has(message.offerId));
+        if (!batch) return;
+        
+        batch.get(message.offerId).status = message.status;
+        this._finishBatch(batch);
+    }
+  
+    /**
+     * Report a batch once every recipient is done with it
+     * @param {Map} batch - Offers of the batch
+     * @private
+     */
+    _finishBatch(batch) {
+        const offers = Array.from(batch.values());
+        if (offers.some(offer => !offer.status)) return;
+        
+        this._batches = this._batches.filter(other => other !== batch);
+        
+        const summary = { total: offers.length, sent: 0, declined: 0, failed: 0, cancelled: 0 };
+        offers.forEach(offer => summary[offer.status]++);
+        Events.fire('files-sent-summary', summary);
+    }
+  
+    /**
+     * Pass the user's answer to a file offer on to the sender
+     * @param {Object} message - Offer ID, sender ID, accepted file indices and the folder to save to
+     * @private
+     */
+    _onFileOfferAnswer(message) {
+        const peer = this.peers[message.to];
+        if (peer) peer.answerOffer(message.offerId, message.accepted, message.directory);
+    }
+  
+    /**
+     * Cancel a transfer with a peer
+     * @param {Object} message - Peer ID and offer ID
      * @private
      */
-    _onPeers(peers) {
-        peers.forEach(peer => {
-            if (this.peers[peer.id]) {
-                this.peers[peer.id].refresh();
-                return;
-            }
-            
-            // Create appropriate peer type based on capabilities
-            if (window.RTCPeerConnection && peer.rtcSupported) {
-                this.peers[peer.id] = new RTCPeer(this._server, peer.id);
-            } else {
-                this.peers[peer.id] = new WSPeer(this._server, peer.id);
-            }
-        });
+    _onCancelTransfer(message) {
+        const peer = this.peers[message.peerId];
+        if (peer) peer.cancelTransfer(message.offerId);
     }
   
     /**
-     * Handle file selection for sending
-     * @param {Object} message - File selection message
+     * Pause or continue a transfer with a peer
+     * @param {Object} message - Peer ID, offer ID and whether to pause
      * @private
      */
-    _onFilesSelected(message) {
-        // Fire event to show progress dialog
-        Events.fire('file-send-start', {
-            files: message.files,
-            to: message.to
-        });
-        
-        // Then send files
-        this.peers[message.to].sendFiles(message.files);
+    _onPauseTransfer(message) {
+        const peer = this.peers[message.peerId];
+        if (peer) peer.pauseTransfer(message.offerId, message.paused);
     }
   
     /**
@@ -873,7 +2400,14 @@ class PeersManager {
      * @private
      */
     _onSendText(message) {
-        this.peers[message.to].sendText(message.text);
+        if (!this._ensureActive()) return;
+        
+        const peer = this._connectTo(message.to);
+        if (!peer) {
+            Events.fire('notify-user', 'The other device is no longer available.');
+            return;
+        }
+        peer.sendText(message.text);
     }
   
     /**
@@ -882,16 +2416,18 @@ class PeersManager {
      * @private
      */
     _onPeerLeft(peerId) {
+        // Whatever we were still sending to the peer is lost with the connection
+        this._batches.slice().forEach(batch => {
+            batch.forEach(offer => {
+                if (offer.peerId === peerId && !offer.status) offer.status = 'failed';
+            });
+            this._finishBatch(batch);
+        });
+        
         const peer = this.peers[peerId];
         if (!peer) return;
         
-        // Clean up peer resources if available
-        if (peer.destroy) {
-            peer.destroy();
-        } else if (peer._conn) {
-            peer._conn.close();
-        }
-        
+        peer.destroy();
         delete this.peers[peerId];
     }
     
@@ -911,6 +2447,20 @@ class PeersManager {
 // FILE HANDLING
 // ======================================================================
 
+/**
+ * Compute the SHA-256 of some data
+ * WebCrypto only exists on secure origins, so files sent to or from plain-HTTP pages can't be verified
+ * @param {Array<ArrayBuffer>} parts - Data to hash, in order
+ * @returns {Promise<string|null>} - Hex encoded hash, or null if hashing is unavailable
+ */
+function sha256(parts) {
+    if (!window.crypto || !crypto.subtle) return Promise.resolve(null);
+    
+    return new Blob(parts).arrayBuffer()
+        .then(data => crypto.subtle.digest('SHA-256', data))
+        .then(digest => Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join(''));
+}
+
 /**
  * FileChunker - Splits file into chunks for transmission
  */
@@ -918,16 +2468,23 @@ class FileChunker {
     /**
      * @param {File} file - File to chunk
      * @param {Function} onChunk - Callback for each chunk
-     * @param {Function} onPartitionEnd - Callback for partition completion
-     */
-    constructor(file, onChunk, onPartitionEnd) {
-        this._chunkSize = 64000; // 64 KB chunk size
-        this._maxPartitionSize = 1e6; // 1 MB partition size
-        this._offset = 0;
+     * @param {Function} onPartitionEnd - Callback for partition completion, with the end offset and the partition's chunks
+     * @param {number} [offset=0] - Where to start reading, when resuming a transfer
+     * @param {number} [chunkSize=64000] - Bytes per chunk
+     * @param {Function} [pace] - Called with a continuation before each chunk, to wait for room on the connection
+     */
+    constructor(file, onChunk, onPartitionEnd, offset = 0, chunkSize = 64000, pace = next => next()) {
+        this._chunkSize = chunkSize;
+        this._maxPartitionSize = 1e6; // About 1 MB per partition, in whole chunks
+        this._offset = offset;
+        this._stopped = false;
+        this._reading = false;
+        this._finished = false;
         this._partitionSize = 0;
         this._file = file;
         this._onChunk = onChunk;
         this._onPartitionEnd = onPartitionEnd;
+        this._pace = pace;
         
         // Set up file reader
         this._reader = new FileReader();
@@ -938,8 +2495,18 @@ class FileChunker {
      * Start reading the next partition of the file
      */
     nextPartition() {
+        if (this._stopped || this._reading || this._finished) return;
+        this._reading = true;
         this._partitionSize = 0;
-        this._readChunk();
+        this._partition = [];
+        this._pace(() => this._readChunk());
+    }
+  
+    /**
+     * Stop reading; a chunk that is being read is dropped
+     */
+    stop() {
+        this._stopped = true;
     }
   
     /**
@@ -947,6 +2514,7 @@ class FileChunker {
      * @private
      */
     _readChunk() {
+        if (this._stopped) return;
         const chunk = this._file.slice(this._offset, this._offset + this._chunkSize);
         this._reader.readAsArrayBuffer(chunk);
     }
@@ -957,18 +2525,22 @@ class FileChunker {
      * @private
      */
     _onChunkRead(chunk) {
+        if (this._stopped) return;
+        
         this._offset += chunk.byteLength;
         this._partitionSize += chunk.byteLength;
+        this._partition.push(chunk);
         this._onChunk(chunk);
         
-        if (this.isFileEnd()) return;
-        
-        if (this._isPartitionEnd()) {
-            this._onPartitionEnd(this._offset);
+        // The end of the file ends the last partition
+        if (this.isFileEnd() || this._isPartitionEnd()) {
+            this._reading = false;
+            this._finished = this.isFileEnd();
+            this._onPartitionEnd(this._offset, this._partition);
             return;
         }
         
-        this._readChunk();
+        this._pace(() => this._readChunk());
     }
   
     /**
@@ -988,6 +2560,30 @@ class FileChunker {
         return this._offset >= this._file.size;
     }
   
+    /**
+     * Check if a partition is being read
+     * @returns {boolean} - True until the partition has ended
+     */
+    isReading() {
+        return this._reading;
+    }
+  
+    /**
+     * Check if the last partition has been read
+     * @returns {boolean} - True once there is nothing left to send
+     */
+    isFinished() {
+        return this._finished;
+    }
+  
+    /**
+     * Bytes read so far, counted from the start of the file
+     * @returns {number} - Offset of the next chunk
+     */
+    get offset() {
+        return this._offset;
+    }
+  
     /**
      * Get current progress
      * @returns {number} - Progress value (0-1)
@@ -999,21 +2595,49 @@ class FileChunker {
   
 /**
  * FileDigester - Assembles received file chunks
+ * Only the partition being checked is kept in memory; verified partitions go to a file sink
  */
 class FileDigester {
     /**
      * @param {Object} meta - File metadata
-     * @param {Function} callback - Callback for completed file
+     * @param {Function} callback - Callback for the finished file (marked corrupt if it failed verification)
      */
     constructor(meta, callback) {
-        this._buffer = [];
+        this.transferId = meta.transferId;
+        this.offerId = meta.offerId;
+        this.index = meta.index;
+        this._buffer = []; // Chunks after the last partition the sender announced
         this._bytesReceived = 0;
+        this._sealed = 0; // End of the last partition the sender announced
+        
+        // End of the last partition the sender was told we have
+        this._acknowledged = 0;
+        
+        // Partitions are verified one after the other; a rollback starts a new generation
+        // so checks still running for thrown-away partitions are ignored
+        this._verifying = Promise.resolve();
+        this.generation = 0;
+        this.seeking = false; // Dropping stale data until the sender says where it continues
+        
+        // Hashes of the verified partitions, and how often each partition was asked for again
+        this._hashes = [];
+        this._retries = {};
+        this.unverified = false; // Set if any part could not be checked
+        
         this._size = meta.size;
         this._mime = meta.mime || 'application/octet-stream';
         this._name = meta.name;
+        this._path = meta.path || '';
         this._sender = meta.sender;
         this._callback = callback;
         this.progress = 0;
+        this.reported = 0; // Progress last reported to the sender
+        this.paused = Boolean(meta.paused); // Only shown to the user; the sender holds the data back
+        this.finishing = false; // Verified and being written out
+        
+        // Writes run one after the other once the sink is open
+        this._sink = FileSink.open(meta.name, meta.directory, this._path, meta.size);
+        this._writing = this._sink;
     }
   
     /**
@@ -1027,19 +2651,600 @@ class FileDigester {
         
         // Handle potential NaN from incorrect size
         if (isNaN(this.progress)) this.progress = 1;
+    }
+  
+    /**
+     * Take the chunks of a partition the sender says has ended
+     * More chunks may already have arrived behind it
+     * @param {number} offset - Where the partition ends
+     * @returns {Array<ArrayBuffer>|null} - The partition's chunks, or null if they don't add up
+     */
+    seal(offset) {
+        let size = 0;
+        let count = 0;
+        while (count < this._buffer.length && size < offset - this._sealed) {
+            size += this._buffer[count++].byteLength;
+        }
+        if (this._sealed + size !== offset) return null;
+        
+        this._sealed = offset;
+        return this._buffer.splice(0, count);
+    }
+  
+    /**
+     * Check a partition against the sender's hash, after the partitions before it
+     * @param {Array<ArrayBuffer>} chunks - Data of the partition
+     * @param {string|null} hash - SHA-256 from the sender
+     * @returns {Promise<boolean>} - False if the data was damaged
+     */
+    verifyPartition(chunks, hash) {
+        this._verifying = this._verifying
+            .then(() => sha256(chunks))
+            .then(actual => this._matches(actual, hash));
+        return this._verifying;
+    }
+  
+    /**
+     * Wait for the partitions being checked
+     * @returns {Promise} - Resolves once every sealed partition is verified or found damaged
+     */
+    settle() {
+        return this._verifying.then(() => {}, () => {});
+    }
   
-        if (this._bytesReceived < this._size) return;
+    /**
+     * Mark everything up to the end of a verified partition as received and write it out
+     * @param {number} offset - Where the partition ends
+     * @param {string|null} hash - SHA-256 of the partition
+     * @param {Array<ArrayBuffer>} chunks - Data of the partition
+     * @returns {Promise} - Resolves once the partition is stored
+     */
+    acknowledge(offset, hash, chunks) {
+        const data = new Blob(chunks);
+        this._acknowledged = offset;
+        this._hashes.push(hash);
         
-        // We are done, create the final file
-        let blob = new Blob(this._buffer, { type: this._mime });
+        this._writing = this._writing.then(sink => sink.write(data).then(() => sink));
+        return this._writing;
+    }
+  
+    /**
+     * Throw away chunks after the last acknowledged partition
+     * Data keeps being dropped until the sender seeks back to the returned offset
+     * @returns {number} - Offset to continue from
+     */
+    rollback() {
+        this.generation++;
+        this.seeking = true;
+        this._buffer = [];
+        this._sealed = this._acknowledged;
+        this._bytesReceived = this._acknowledged;
+        this.progress = this._size ? this._bytesReceived / this._size : 0;
+        return this._acknowledged;
+    }
+  
+    /**
+     * Count another attempt at the partition starting at an offset
+     * @param {number} offset - Start of the partition
+     * @returns {boolean} - False once the partition has been tried too often
+     */
+    retry(offset) {
+        this._retries[offset] = (this._retries[offset] || 0) + 1;
+        return this._retries[offset] <= FileDigester.maxRetries;
+    }
+  
+    /**
+     * Check the whole file against the sender's file hash
+     * @param {string|null} fileHash - File hash from the sender
+     * @returns {Promise<boolean>} - False if the file doesn't match
+     */
+    verifyFile(fileHash) {
+        return FileDigester.fileHash(this._hashes)
+            .then(actual => this._matches(actual, fileHash));
+    }
+  
+    /**
+     * Compare a hash we computed with the sender's
+     * Data that can't be checked is let through, but the file is marked as unverified
+     * @param {string|null} actual - Our hash, or null if we can't hash
+     * @param {string|null} expected - Sender's hash, or null if it didn't send one
+     * @returns {boolean} - False if the hashes differ
+     * @private
+     */
+    _matches(actual, expected) {
+        if (!actual || !expected) {
+            this.unverified = true;
+            return true;
+        }
+        return actual === expected;
+    }
+  
+    /**
+     * Finish writing the verified file and hand it over
+     * @returns {Promise} - Rejects if the file could not be stored
+     */
+    complete() {
+        this.finishing = true;
+        return this._writing
+            .then(sink => sink.close(this._mime).then(blob => {
+                // Discarded while it was being closed, so nobody is going to show it
+                if (this._discarded) return sink.release();
+                
+                this._callback({
+                    transferId: this.transferId,
+                    offerId: this.offerId,
+                    name: this._name,
+                    path: this._path,
+                    mime: this._mime,
+                    size: this._size,
+                    blob: blob, // Null if it went straight to the downloads folder
+                    downloaded: Boolean(sink.downloaded),
+                    unverified: this.unverified,
+                    release: () => sink.release(), // Call once the file is no longer needed
+                    sender: this._sender
+                });
+            }));
+    }
+  
+    /**
+     * Throw away everything received without handing over a file
+     */
+    discard() {
+        this._discarded = true;
+        this.generation++;
+        this._buffer = [];
+        this._sealed = 0;
+        this._bytesReceived = 0;
+        this._acknowledged = 0;
+        this._hashes = [];
+        this._sink.then(sink => sink.abort()).catch(() => {});
+    }
+  
+    /**
+     * Give up on a damaged file; it is handed over without data so the user learns about it
+     */
+    fail() {
+        this.discard();
         this._callback({
+            transferId: this.transferId,
+            offerId: this.offerId,
             name: this._name,
+            path: this._path,
             mime: this._mime,
             size: this._size,
-            blob: blob,
+            blob: null,
+            corrupt: true,
             sender: this._sender
         });
     }
+  
+    /**
+     * Size of the file in bytes
+     * @returns {number} - File size
+     */
+    get size() {
+        return this._size;
+    }
+  
+    /**
+     * End of the last partition that was verified
+     * @returns {number} - Offset
+     */
+    get acknowledged() {
+        return this._acknowledged;
+    }
+  
+    /**
+     * Name of the file
+     * @returns {string} - File name
+     */
+    get name() {
+        return this._name;
+    }
+  
+    /**
+     * Hash of a whole file: the SHA-256 of its partition hashes in order
+     * WebCrypto can't hash a stream, so this lets both sides build it one partition at a time
+     * @param {Array<string|null>} hashes - Partition hashes
+     * @returns {Promise<string|null>} - Hex encoded hash, or null if hashing is unavailable
+     */
+    static fileHash(hashes) {
+        if (hashes.some(hash => !hash)) return Promise.resolve(null);
+        return sha256([new TextEncoder().encode(hashes.join('')).buffer]);
+    }
+    
+    /**
+     * Times a damaged partition is asked for again before the file is marked corrupt
+     */
+    static maxRetries = 3;
+}
+  
+/**
+ * FileSink - Where received files are written
+ * Files go to a folder the user picked, else to the origin private file system, else
+ * straight to the downloads folder through the service worker (iOS and Safari), and
+ * only into memory when none of these can be written to
+ */
+class FileSink {
+    /**
+     * @param {FileSystemDirectoryHandle} directory - Folder the file is written to
+     * @param {FileSystemFileHandle} handle - The file
+     * @param {FileSystemWritableFileStream} writable - Open stream to the file
+     * @param {boolean} temporary - True for files in this tab's private folder, deleted on release
+     */
+    constructor(directory, handle, writable, temporary) {
+        this._directory = directory;
+        this._handle = handle;
+        this._writable = writable;
+        this._temporary = temporary;
+    }
+  
+    /**
+     * Append data to the file
+     * @param {Blob} data - Data to write
+     * @returns {Promise} - Resolves once written
+     */
+    write(data) {
+        return this._writable.write(data);
+    }
+  
+    /**
+     * Finish the file
+     * @param {string} mime - MIME type of the file
+     * @returns {Promise<File>} - The written file, backed by disk rather than memory
+     */
+    close(mime) {
+        return this._writable.close()
+            .then(() => this._handle.getFile())
+            .then(file => new File([file], file.name, { type: mime || file.type, lastModified: file.lastModified }));
+    }
+  
+    /**
+     * Let go of the finished file once the page no longer shows it
+     * Files in the private folder are deleted; files saved to a folder the user picked stay
+     * @returns {Promise} - Resolves once done
+     */
+    release() {
+        if (!this._temporary) return Promise.resolve();
+        return this._directory.removeEntry(this._handle.name).catch(e => {
+            console.warn(`Could not delete ${this._handle.name}:`, e);
+        });
+    }
+  
+    /**
+     * Stop writing and delete what was written
+     * @returns {Promise} - Resolves once the file is gone
+     */
+    abort() {
+        return this._writable.abort()
+            .then(() => this._directory.removeEntry(this._handle.name));
+    }
+  
+    /**
+     * Open a sink for a received file
+     * @param {string} name - File name
+     * @param {FileSystemDirectoryHandle} [directory] - Folder the user picked to save into
+     * @param {string} [path] - Folder of the file on the sender's side, recreated inside it
+     * @param {number} [size] - Size of the file in bytes
+     * @returns {Promise<FileSink|DownloadSink|MemorySink>} - Sink to write to
+     */
+    static open(name, directory, path = '', size) {
+        const folder = directory ? Promise.resolve(directory) : FileSink.scratchDirectory();
+        
+        return folder
+            .then(folder => folder ? FileSink._subfolder(folder, path) : null)
+            .then(folder => folder ? FileSink._create(folder, name, !directory) : null)
+            .catch(e => {
+                console.warn(`Cannot write ${name} to disk:`, e);
+                return null;
+            })
+            .then(sink => sink || DownloadSink.open(FileSink.safeName(name), size))
+            .then(sink => sink || new MemorySink());
+    }
+  
+    /**
+     * Turn a name from the sender into a single harmless path component
+     * @param {string} name - File name from the sender
+     * @returns {string} - Safe file name
+     */
+    static safeName(name) {
+        return name.replace(/[\\/\x00-\x1f]/g, '_').replace(/^\.+$/, '_') || 'file';
+    }
+  
+    /**
+     * Open a folder inside another, creating the folders on the way
+     * @param {FileSystemDirectoryHandle} directory - Folder to start from
+     * @param {string} path - Cleaned up folder path, may be empty
+     * @returns {Promise<FileSystemDirectoryHandle>} - The innermost folder
+     * @private
+     */
+    static async _subfolder(directory, path) {
+        for (const part of path.split('/').filter(Boolean)) {
+            directory = await directory.getDirectoryHandle(part, { create: true });
+        }
+        return directory;
+    }
+  
+    /**
+     * Create a file that doesn't overwrite anything in a folder
+     * @param {FileSystemDirectoryHandle} directory - Folder to create the file in
+     * @param {string} name - Preferred file name
+     * @param {boolean} temporary - True if the folder is this tab's private folder
+     * @returns {Promise<FileSink>} - Sink for the new file
+     * @private
+     */
+    static async _create(directory, name, temporary) {
+        name = FileSink.safeName(name);
+        
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const extension = dot > 0 ? name.slice(dot) : '';
+        
+        for (let i = 0; ; i++) {
+            const candidate = i ? `${base} (${i})${extension}` : name;
+            try {
+                await directory.getFileHandle(candidate);
+            } catch (e) {
+                if (e.name !== 'NotFoundError') throw e;
+                const handle = await directory.getFileHandle(candidate, { create: true });
+                return new FileSink(directory, handle, await handle.createWritable(), temporary);
+            }
+        }
+    }
+  
+    /**
+     * Folder in the origin private file system for files received by this tab
+     * Each tab has its own folder and holds a lock on it, so folders left behind by
+     * closed tabs can be cleared without touching files other tabs still show
+     * @returns {Promise<FileSystemDirectoryHandle|null>} - Folder, or null if unavailable
+     */
+    static scratchDirectory() {
+        if (FileSink._scratch) return FileSink._scratch;
+        
+        const supported = navigator.storage && navigator.storage.getDirectory && navigator.locks &&
+            window.FileSystemFileHandle && FileSystemFileHandle.prototype.createWritable;
+        if (!supported) return FileSink._scratch = Promise.resolve(null);
+        
+        const id = Peer._createTransferId();
+        const lock = FileSink.lockPrefix + id;
+        
+        FileSink._scratch = new Promise(resolve => {
+            // The lock is held until the tab goes away
+            navigator.locks.request(lock, () => {
+                resolve();
+                return new Promise(() => {});
+            });
+        })
+            .then(() => navigator.storage.getDirectory())
+            .then(root => root.getDirectoryHandle('received', { create: true }))
+            .then(parent => {
+                FileSink._clearScratch(parent);
+                return parent.getDirectoryHandle(id, { create: true });
+            })
+            .catch(e => {
+                console.warn('Private file system unavailable:', e);
+                return null;
+            });
+        return FileSink._scratch;
+    }
+  
+    /**
+     * Delete the folders of tabs that are gone
+     * @param {FileSystemDirectoryHandle} parent - Folder holding the per-tab folders
+     * @private
+     */
+    static async _clearScratch(parent) {
+        try {
+            const state = await navigator.locks.query();
+            const held = new Set(state.held.map(lock => lock.name));
+            
+            for await (const name of parent.keys()) {
+                if (held.has(FileSink.lockPrefix + name)) continue;
+                await parent.removeEntry(name, { recursive: true });
+            }
+        } catch (e) {
+            console.warn('Could not clear old received files:', e);
+        }
+    }
+    
+    /**
+     * Prefix of the lock names tabs hold on their folder
+     */
+    static lockPrefix = 'drpl-received-';
+    
+    /**
+     * Promise for this tab's folder, once asked for
+     */
+    static _scratch = null;
+}
+  
+/**
+ * DownloadSink - Streams a received file into the downloads folder
+ * The service worker answers a hidden frame's request for the file with a stream
+ * it fills with the data we pass it, so the browser saves it as it arrives
+ */
+class DownloadSink {
+    /**
+     * @param {MessagePort} port - Channel to the service worker for this download
+     * @param {ServiceWorker} worker - The service worker, pinged so it keeps running
+     * @param {HTMLIFrameElement} frame - Frame that requested the download
+     */
+    constructor(port, worker, frame) {
+        this._port = port;
+        this._frame = frame;
+        this._written = null; // Resolves the write waiting for the service worker
+        this._failed = null; // Set once the download was cancelled in the browser
+        this.downloaded = true;
+        
+        port.onmessage = e => {
+            if (e.data.type === 'written' && this._written) {
+                this._written();
+            } else if (e.data.type === 'cancelled') {
+                this._failed = new Error('The download was cancelled');
+                if (this._written) this._written();
+            }
+        };
+        
+        // Service workers are stopped when they look idle, even in the middle of a download
+        this._keepAlive = setInterval(() => worker.postMessage({ type: 'keep-alive' }), 10000);
+    }
+  
+    /**
+     * Pass data on to the download, waiting while the browser catches up
+     * @param {Blob} data - Data to write
+     * @returns {Promise} - Resolves once the service worker has room for more
+     */
+    write(data) {
+        if (this._failed) return Promise.reject(this._failed);
+        
+        return data.arrayBuffer().then(buffer => new Promise(resolve => {
+            this._written = resolve;
+            this._port.postMessage({ type: 'data', data: buffer }, [buffer]);
+        })).then(() => {
+            this._written = null;
+            if (this._failed) throw this._failed;
+        });
+    }
+  
+    /**
+     * Finish the download
+     * @returns {Promise<null>} - Nothing to show; the file is in the downloads folder
+     */
+    close() {
+        this._port.postMessage({ type: 'end' });
+        this._finish();
+        return Promise.resolve(null);
+    }
+  
+    /**
+     * Make the download fail, so no partial file is left looking complete
+     * @returns {Promise} - Resolves immediately
+     */
+    abort() {
+        this._port.postMessage({ type: 'abort' });
+        this._finish();
+        return Promise.resolve();
+    }
+  
+    /**
+     * Nothing to clean up; the file belongs to the user now
+     * @returns {Promise} - Resolves immediately
+     */
+    release() {
+        return Promise.resolve();
+    }
+  
+    /**
+     * Stop keeping the service worker awake and remove the frame
+     * The frame stays a while, as some browsers cancel downloads whose frame disappears
+     * @private
+     */
+    _finish() {
+        clearInterval(this._keepAlive);
+        setTimeout(() => this._frame.remove(), 60 * 1000);
+    }
+  
+    /**
+     * Start a download through the service worker
+     * @param {string} name - File name
+     * @param {number} [size] - Size in bytes, so the browser can show progress
+     * @returns {Promise<DownloadSink|null>} - Sink, or null if downloads can't be streamed
+     */
+    static open(name, size) {
+        if (!navigator.serviceWorker || !window.ReadableStream) return Promise.resolve(null);
+        
+        return navigator.serviceWorker.getRegistration(DownloadSink.scope).then(registration => {
+            const worker = registration && registration.active;
+            if (!worker) return null;
+            
+            const id = Peer._createTransferId();
+            const channel = new MessageChannel();
+            worker.postMessage({ type: 'download', id: id, name: name, size: size }, [channel.port2]);
+            
+            const frame = document.createElement('iframe');
+            frame.hidden = true;
+            frame.src = new URL(`downloads/${id}/${encodeURIComponent(name)}`, registration.scope).href;
+            document.body.appendChild(frame);
+            
+            // The service worker tells us once the browser asked for the file
+            return new Promise(resolve => {
+                const timer = setTimeout(() => resolve(false), DownloadSink.startTimeout);
+                channel.port1.onmessage = e => {
+                    if (e.data.type !== 'started') return;
+                    clearTimeout(timer);
+                    resolve(true);
+                };
+            }).then(started => {
+                if (started) return new DownloadSink(channel.port1, worker, frame);
+                
+                console.warn(`The browser did not start downloading ${name}`);
+                channel.port1.postMessage({ type: 'abort' });
+                frame.remove();
+                return null;
+            });
+        }).catch(e => {
+            console.warn('Cannot stream downloads:', e);
+            return null;
+        });
+    }
+    
+    /**
+     * Scope the service worker is registered for
+     */
+    static scope = '/scripts/';
+    
+    /**
+     * How long the browser may take to ask for a download, in milliseconds
+     */
+    static startTimeout = 10000;
+}
+  
+/**
+ * MemorySink - Keeps a received file in memory
+ * Last resort for browsers that can't write files
+ */
+class MemorySink {
+    constructor() {
+        this._parts = [];
+    }
+  
+    /**
+     * Keep a piece of the file
+     * @param {Blob} data - Data to keep
+     * @returns {Promise} - Resolves immediately
+     */
+    write(data) {
+        this._parts.push(data);
+        return Promise.resolve();
+    }
+  
+    /**
+     * Join the pieces into one Blob
+     * @param {string} mime - MIME type of the file
+     * @returns {Promise<Blob>} - The file
+     */
+    close(mime) {
+        const blob = new Blob(this._parts, { type: mime });
+        this._parts = [];
+        return Promise.resolve(blob);
+    }
+  
+    /**
+     * Let go of the data
+     * @returns {Promise} - Resolves immediately
+     */
+    abort() {
+        this._parts = [];
+        return Promise.resolve();
+    }
+  
+    /**
+     * Nothing to clean up; the Blob goes away with the last reference to it
+     * @returns {Promise} - Resolves immediately
+     */
+    release() {
+        return Promise.resolve();
+    }
 }
   
 // ======================================================================
@@ -1050,9 +3255,14 @@ class FileDigester {
  * Initialize the application when DOM is loaded
  */
 document.addEventListener('DOMContentLoaded', () => {
-    const server = new ServerConnection();
-    const peers = new PeersManager(server);
-    
-    // Make available for debugging
-    window.drplNetwork = { server, peers };
+    ServerConnection.fetchConfig().then(config => {
+        RTCPeer.config.iceServers = config.iceServers;
+        Events.fire('config', config);
+        
+        const server = new ServerConnection();
+        const peers = new PeersManager(server);
+        
+        // Make available for debugging
+        window.drplNetwork = { server, peers, config };
+    });
 });
\ No newline at end of file
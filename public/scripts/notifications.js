@@ -23,6 +23,9 @@ window.NotificationManager = (function() {
       // Initialize property for tracking permission status
       this.hasPermission = false;
       
+      // Only the active tab of this device notifies about other devices
+      this.isActiveTab = true;
+      
       // Check if the browser supports notifications
       if (!('Notification' in window)) {
         console.log('This browser does not support desktop notifications');
@@ -43,8 +46,10 @@ window.NotificationManager = (function() {
     _setupEventListeners() {
       Events.on('text-received', e => this.textNotification(e.detail));
       Events.on('file-received', e => this.fileNotification(e.detail));
+      Events.on('file-offer', e => this.offerNotification(e.detail));
       Events.on('peer-joined', e => this.peerJoinedNotification(e.detail));
       Events.on('peer-left', e => this.peerLeftNotification(e.detail));
+      Events.on('session-state', e => this.isActiveTab = e.detail);
     }
     
     /**
@@ -153,7 +158,7 @@ window.NotificationManager = (function() {
     fileNotification(file) {
       if (document.visibilityState === 'visible') return;
       
-      this.notify('File Received', file.name, {
+      this.notify(file.corrupt ? 'File Damaged' : 'File Received', file.name, {
         action: () => {
           // Show the receive dialog when clicked
           if (window.drplUI && window.drplUI.dialogs.receive) {
@@ -163,15 +168,28 @@ window.NotificationManager = (function() {
       });
     }
     
+    /**
+     * Create notification for files waiting to be accepted
+     * @param {Object} offer - Offered files
+     */
+    offerNotification(offer) {
+      if (document.visibilityState === 'visible') return;
+      
+      const body = offer.files.length > 1 ? `${offer.files.length} files` : offer.files[0].name;
+      this.notify('Incoming Files', body, {
+        action: () => window.focus()
+      });
+    }
+    
     /**
      * Create notification when a new peer joins
      * @param {Object} peer - Peer information
      */
     peerJoinedNotification(peer) {
-      if (document.visibilityState === 'visible') return;
+      if (document.visibilityState === 'visible' || !this.isActiveTab) return;
       
       this.notify('New Device Available', 
-        `${peer.name.displayName} (${peer.name.deviceName}) joined the network`, {
+        `${peer.name.nickname || peer.name.displayName} (${peer.name.deviceName}) joined the network`, {
           action: () => window.focus()
         }
       );
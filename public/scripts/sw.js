@@ -151,11 +151,91 @@ function isNavigationRequest(request) {
           request.headers.get('accept').includes('text/html')));
 }
 
+// Received files streamed to the downloads folder, by download ID (see DownloadSink in network.js)
+const downloads = new Map();
+
+// Message event - a page wants to stream a received file into the downloads folder
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  
+  // Keep-alive messages need no answer; receiving them keeps the worker running
+  if (data.type !== 'download' || !event.ports[0]) return;
+  
+  downloads.set(data.id, { name: data.name, size: data.size, port: event.ports[0] });
+  
+  // Forget downloads the browser never asked for
+  setTimeout(() => downloads.delete(data.id), 60 * 1000);
+});
+
+// Build the body of a download from the data the page passes through its port
+function downloadStream(download) {
+  const port = download.port;
+  let waiting = false; // The page waits for room before sending more
+  
+  return new ReadableStream({
+    start(controller) {
+      port.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'data') {
+          controller.enqueue(new Uint8Array(message.data));
+          if (controller.desiredSize > 0) {
+            port.postMessage({ type: 'written' });
+          } else {
+            waiting = true;
+          }
+        } else if (message.type === 'end') {
+          controller.close();
+        } else if (message.type === 'abort') {
+          controller.error(new Error('Transfer aborted'));
+        }
+      };
+      port.postMessage({ type: 'started' });
+    },
+    pull() {
+      if (!waiting) return;
+      waiting = false;
+      port.postMessage({ type: 'written' });
+    },
+    cancel() {
+      port.postMessage({ type: 'cancelled' });
+    }
+  }, new CountQueuingStrategy({ highWaterMark: 4 }));
+}
+
+// Answer a download request with the stream for it
+function respondWithDownload(event) {
+  const prefix = new URL('downloads/', self.registration.scope).pathname;
+  const id = new URL(event.request.url).pathname.slice(prefix.length).split('/')[0];
+  const download = downloads.get(id);
+  downloads.delete(id);
+  
+  if (!download) {
+    event.respondWith(new Response('Download not found', { status: 404 }));
+    return;
+  }
+  
+  const headers = new Headers({
+    'Content-Type': 'application/octet-stream',
+    'Content-Disposition': "attachment; filename*=UTF-8''" + encodeURIComponent(download.name),
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (download.size) headers.set('Content-Length', String(download.size));
+  
+  event.respondWith(new Response(downloadStream(download), { headers: headers }));
+}
+
 // Fetch event - serve from cache or network
 self.addEventListener('fetch', (event) => {
-  // Skip non-GET requests and socket connections
+  // Received files being streamed to the downloads folder
+  if (new URL(event.request.url).pathname.startsWith(new URL('downloads/', self.registration.scope).pathname)) {
+    respondWithDownload(event);
+    return;
+  }
+  
+  // Skip non-GET requests, socket connections and live server settings
   if (event.request.method !== 'GET' || 
-      event.request.url.includes('/server')) {
+      event.request.url.includes('/server') ||
+      new URL(event.request.url).pathname === '/config') {
     return;
   }
 
@@ -7,6 +7,67 @@
 const $ = id => document.getElementById(id);
 const isURL = text => /^((https?:\/\/|www)[^\s]+)/g.test(text.toLowerCase());
 const isDownloadSupported = typeof document.createElement('a').download !== 'undefined';
+const peerLabel = name => name.nickname || name.displayName;
+
+// ZIP archives are built in memory, so bigger batches have to be downloaded file by file
+const ZIP_LIMIT = 500e6;
+
+/**
+ * Format file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size string
+ */
+function formatFileSize(bytes) {
+    if (bytes >= 1e9) {
+        return (Math.round(bytes / 1e8) / 10) + ' GB';
+    } else if (bytes >= 1e6) {
+        return (Math.round(bytes / 1e5) / 10) + ' MB';
+    } else if (bytes > 1000) {
+        return Math.round(bytes / 1000) + ' KB';
+    } else {
+        return bytes + ' Bytes';
+    }
+}
+
+/**
+ * Where a file sits in the folders it was sent in
+ * @param {Object} file - File with an optional folder path
+ * @returns {string} Relative path including the file name
+ */
+const filePath = file => file.path ? `${file.path}/${file.name}` : file.name;
+
+/**
+ * Collect the files dropped on the page, walking into dropped folders
+ * Files inside folders get a relativePath like the folder picker's webkitRelativePath
+ * @param {DataTransfer} dataTransfer - Data of the drop event
+ * @returns {Promise<Array<File>>} The dropped files
+ */
+function droppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+    if (!entries.length) return Promise.resolve(Array.from(dataTransfer.files));
+    
+    const readEntry = (entry, folder) => {
+        if (entry.isFile) {
+            return new Promise((resolve, reject) => entry.file(resolve, reject)).then(file => {
+                file.relativePath = folder + file.name;
+                return [file];
+            });
+        }
+        
+        // Folders are read in batches until an empty one comes back
+        const reader = entry.createReader();
+        const readAll = children => new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+            .then(batch => batch.length ? readAll(children.concat(batch)) : children);
+        
+        return readAll([])
+            .then(children => Promise.all(children.map(child => readEntry(child, `${folder}${entry.name}/`))))
+            .then(lists => [].concat(...lists));
+    };
+    
+    return Promise.all(entries.map(entry => readEntry(entry, ''))).then(lists => [].concat(...lists));
+}
 
 /**
  * Main UI Controller
@@ -15,6 +76,13 @@ const isDownloadSupported = typeof document.createElement('a').download !== 'und
 class DrplUI {
     constructor() {
         this.currentPeer = null;
+        
+        // Peers picked in selection mode, and who the next files picked go to
+        this.selecting = false;
+        this.selectedPeers = new Set();
+        this.sendTargets = [];
+        
+        this.features = { pairingRooms: true, invites: true, nicknames: true };
         this.initializeEvents();
         this.initializeDialogs();
         this.initializeSounds();
@@ -28,15 +96,27 @@ class DrplUI {
         Events.on('peer-joined', e => this.onPeerJoined(e.detail));
         Events.on('peer-left', e => this.onPeerLeft(e.detail));
         Events.on('peers', e => this.onPeers(e.detail));
+        Events.on('peer-updated', e => this.onPeerUpdated(e.detail));
         Events.on('display-name', e => this.onDisplayName(e.detail));
         Events.on('peer-connection-established', peerId => this.onPeerConnected(peerId));
         
+        // Pairing-code room events
+        Events.on('room-joined', e => this.onRoomJoined(e.detail));
+        Events.on('room-left', () => this.onRoomLeft());
+        Events.on('room-error', e => this.showToast(e.detail));
+        Events.on('invite-created', e => this.dialogs.invite.showInvite(e.detail.url));
+        Events.on('config', e => this.onConfig(e.detail));
+        
         // File transfer events
         Events.on('file-progress', e => this.onFileProgress(e.detail));
         Events.on('file-received', e => this.onFileReceived(e.detail));
         Events.on('file-transfer-complete', () => this.onFileTransferComplete());
-        Events.on('file-send-start', e => this.handleFileSendStart(e.detail.files, e.detail.to));
-        Events.on('file-receive-start', e => this.handleFileReceiveStart(e.detail.header, e.detail.from));
+        Events.on('file-transfer-cancelled', e => this.onFileTransferCancelled(e.detail));
+        Events.on('file-transfer-paused', e => this.onFileTransferPaused(e.detail));
+        Events.on('file-send-start', e => this.handleFileSendStart(e.detail));
+        Events.on('file-receive-start', e => this.handleFileReceiveStart(e.detail.header, e.detail.from, e.detail.fileNumber, e.detail.fileCount));
+        Events.on('file-offer', e => this.dialogs.offer.showOffer(e.detail));
+        Events.on('files-sent-summary', e => this.onFilesSentSummary(e.detail));
         
         // Text messaging events
         Events.on('text-received', e => this.onTextReceived(e.detail));
@@ -60,6 +140,22 @@ class DrplUI {
                 window.location.reload();
             });
         }
+        
+        // Open the pairing dialog
+        if ($('room-button')) {
+            $('room-button').addEventListener('click', () => this.dialogs.room.show());
+        }
+        
+        // Pick several devices and send them the same files
+        $('select-button').addEventListener('click', () => this.setSelecting(!this.selecting));
+        $('select-all').addEventListener('click', () => this.selectAllPeers());
+        $('send-selected').addEventListener('click', () => this.sendToSelected());
+        $('end-selection').addEventListener('click', () => this.setSelecting(false));
+        
+        // Click on our own name to change it
+        $('display-name').addEventListener('click', () => {
+            if (this.displayName && this.features.nicknames) this.dialogs.nickname.show(this.displayName);
+        });
     }
 
     /**
@@ -71,7 +167,11 @@ class DrplUI {
             sendText: new SendTextDialog(),
             receiveText: new ReceiveTextDialog(),
             action: new ActionDialog(),
-            transferProgress: new TransferProgressDialog()
+            transferProgress: new TransferProgressDialog(),
+            room: new RoomDialog(),
+            invite: new InviteDialog(),
+            nickname: new NicknameDialog(),
+            offer: new OfferDialog()
         };
     }
 
@@ -97,17 +197,27 @@ class DrplUI {
      * @param {Object} peer - Peer information
      */
     onPeerJoined(peer) {
-        if ($(peer.id)) return; // Peer already exists
+        // Peer already exists (e.g. it came back after a server restart)
+        if ($(peer.id)) {
+            this.onPeerUpdated(peer);
+            return;
+        }
         this.createPeerElement(peer);
     }
 
     /**
      * Handle multiple peers being discovered
+     * Tiles of peers that are still around are kept so they don't flicker
      * @param {Array} peers - List of peers
      */
     onPeers(peers) {
-        this.clearPeers();
+        const ids = peers.map(peer => peer.id);
+        Array.from($('peers').children)
+            .filter(element => !ids.includes(element.id))
+            .forEach(element => element.remove());
+        
         peers.forEach(peer => this.onPeerJoined(peer));
+        this.updateSelection();
     }
 
     /**
@@ -119,6 +229,19 @@ class DrplUI {
         if (peerElement) {
             peerElement.remove();
         }
+        this.updateSelection();
+    }
+
+    /**
+     * Update a peer's tile in place after it changed its name
+     * @param {Object} peer - Updated peer information
+     */
+    onPeerUpdated(peer) {
+        const peerElement = $(peer.id);
+        if (!peerElement) return;
+        
+        peerElement.querySelector('.peer-name').textContent = peerLabel(peer.name);
+        peerElement.querySelector('.peer-device').textContent = peer.name.deviceName;
     }
 
     /**
@@ -132,12 +255,50 @@ class DrplUI {
         }
     }
 
+    /**
+     * Hide controls for features the server has switched off
+     * @param {Object} config - Server settings ({iceServers, features})
+     */
+    onConfig(config) {
+        this.features = config.features;
+        const { pairingRooms, invites, nicknames } = config.features;
+        
+        $('room-button').style.display = pairingRooms || invites ? '' : 'none';
+        $('room-join').style.display = pairingRooms ? '' : 'none';
+        $('create-room-button').style.display = pairingRooms ? '' : 'none';
+        $('invite-button').style.display = invites ? '' : 'none';
+        
+        const displayNameElement = $('display-name');
+        displayNameElement.classList.toggle('fixed', !nicknames);
+        displayNameElement.title = nicknames ? 'Change your name' : '';
+    }
+
+    /**
+     * Handle joining a pairing-code room or a room we were invited to
+     * @param {string|null} code - Room code, or null for an invited network room
+     */
+    onRoomJoined(code) {
+        this.dialogs.room.setRoom(code, true);
+        $('room-button').classList.add('active');
+        this.showToast(code ? `Joined room ${code}` : 'Joined room from invite');
+    }
+
+    /**
+     * Handle returning from a pairing-code room to the local network
+     */
+    onRoomLeft() {
+        this.dialogs.room.setRoom(null, false);
+        $('room-button').classList.remove('active');
+        this.showToast('Back on your local network');
+    }
+
     /**
      * Update display name information
      * @param {Object} data - Display name data
      */
     onDisplayName(data) {
         const displayNameElement = $('display-name');
+        this.displayName = data;
         
         // Clear existing content
         displayNameElement.innerHTML = '';
@@ -148,8 +309,13 @@ class DrplUI {
         
         // Create span for the display name
         const nameSpan = document.createElement('span');
-        nameSpan.textContent = data.displayName;
+        nameSpan.textContent = peerLabel(data);
         displayNameElement.appendChild(nameSpan);
+        
+        // Hint that the name can be changed
+        const editIcon = document.createElement('i');
+        editIcon.className = 'fas fa-pen';
+        displayNameElement.appendChild(editIcon);
     }
 
     /**
@@ -159,13 +325,12 @@ class DrplUI {
     onFileProgress(progress) {
         const peerId = progress.sender;
         const peerElement = $(peerId);
-        if (!peerElement) return;
         
-        // Update the peer element progress for visual feedback
-        this.setPeerProgress(peerElement, progress.progress);
+        // Update the peer element progress for visual feedback; the peer may have left the list
+        if (peerElement) this.setPeerProgress(peerElement, progress.progress);
         
         // Also update the progress dialog
-        this.dialogs.transferProgress.updateProgress(peerId, progress.progress, progress.bytesTransferred);
+        this.dialogs.transferProgress.updateProgress(progress.offerId, progress.transferId, progress.progress, progress.bytesTransferred);
     }
 
     /**
@@ -177,7 +342,7 @@ class DrplUI {
         this.dialogs.receive.addFile(file);
         
         // End the transfer in the progress dialog
-        this.dialogs.transferProgress.endTransfer(file.sender);
+        this.dialogs.transferProgress.endTransfer(file.offerId);
         
         // Show the receive dialog if it's not already visible
         if (!this.dialogs.receive.element.classList.contains('active')) {
@@ -197,6 +362,114 @@ class DrplUI {
         }, 500);
     }
 
+    /**
+     * Handle a transfer stopped by either side
+     * @param {Object} transfer - Peer the transfer was with and its offer ID
+     */
+    onFileTransferCancelled(transfer) {
+        this.dialogs.offer.withdraw(transfer.offerId);
+        this.dialogs.transferProgress.cancelTransfer(transfer.offerId);
+        
+        // The peer's ring stays while a transfer the other way is still going
+        const peerElement = $(transfer.peerId);
+        if (peerElement && !this.dialogs.transferProgress.hasRunningTransfers(transfer.peerId)) {
+            peerElement.removeAttribute('transfer');
+            peerElement.removeAttribute('paused');
+        }
+    }
+
+    /**
+     * Handle a transfer paused or continued by either side
+     * @param {Object} transfer - Peer the transfer is with, its offer ID and whether it is now paused
+     */
+    onFileTransferPaused(transfer) {
+        const peerElement = $(transfer.peerId);
+        if (peerElement) peerElement.toggleAttribute('paused', transfer.paused);
+        
+        this.dialogs.transferProgress.setPaused(transfer.offerId, transfer.paused);
+    }
+
+    /**
+     * Sum up files sent to several devices at once
+     * @param {Object} summary - Number of devices in each outcome
+     */
+    onFilesSentSummary(summary) {
+        const others = ['declined', 'failed', 'cancelled']
+            .filter(status => summary[status])
+            .map(status => `${summary[status]} ${status}`);
+        
+        let text = `Sent to ${summary.sent} of ${summary.total} devices`;
+        if (others.length) text += ` (${others.join(', ')})`;
+        this.showToast(text);
+    }
+
+    /**
+     * Turn selection mode on or off; leaving it clears the selection
+     * @param {boolean} selecting - True to pick peers instead of opening their dialog
+     */
+    setSelecting(selecting) {
+        this.selecting = selecting;
+        if (!selecting) {
+            this.selectedPeers.forEach(peerId => {
+                if ($(peerId)) $(peerId).removeAttribute('selected');
+            });
+            this.selectedPeers.clear();
+        }
+        
+        document.body.classList.toggle('selecting', selecting);
+        $('select-button').classList.toggle('active', selecting);
+        this.updateSelection();
+    }
+
+    /**
+     * Add a peer to the selection or take it out
+     * @param {string} peerId - ID of the peer
+     */
+    togglePeerSelected(peerId) {
+        if (this.selectedPeers.has(peerId)) {
+            this.selectedPeers.delete(peerId);
+        } else {
+            this.selectedPeers.add(peerId);
+        }
+        $(peerId).toggleAttribute('selected', this.selectedPeers.has(peerId));
+        this.updateSelection();
+    }
+
+    /**
+     * Select every peer shown
+     */
+    selectAllPeers() {
+        Array.from($('peers').children).forEach(element => {
+            this.selectedPeers.add(element.id);
+            element.setAttribute('selected', '');
+        });
+        this.updateSelection();
+    }
+
+    /**
+     * Pick files for every selected peer
+     */
+    sendToSelected() {
+        if (!this.selectedPeers.size) return;
+        
+        this.sendTargets = Array.from(this.selectedPeers);
+        this.setSelecting(false);
+        this.dialogs.action.selectFiles();
+    }
+
+    /**
+     * Drop peers that went away from the selection and update the selection bar
+     */
+    updateSelection() {
+        this.selectedPeers.forEach(peerId => {
+            if (!$(peerId)) this.selectedPeers.delete(peerId);
+        });
+        
+        const count = this.selectedPeers.size;
+        $('selection-count').textContent = count ? `${count} selected` : 'Pick devices to send to';
+        $('send-selected').disabled = !count;
+    }
+
     /**
      * Handle received text messages
      * @param {Object} message - The received message
@@ -243,13 +516,45 @@ class DrplUI {
                 <i class="${deviceIcon}"></i>
             </div>
             <div class="progress-circle"></div>
-            <div class="peer-name">${peer.name.displayName}</div>
-            <div class="peer-device">${peer.name.deviceName}</div>
+            <div class="peer-name"></div>
+            <div class="peer-device"></div>
         `;
         
+        // Names are user-controlled, so never insert them as HTML
+        peerElement.querySelector('.peer-name').textContent = peerLabel(peer.name);
+        peerElement.querySelector('.peer-device').textContent = peer.name.deviceName;
+        
+        // Read the name at click time so renames are picked up
         peerElement.addEventListener('click', () => {
+            if (this.selecting) {
+                this.togglePeerSelected(peer.id);
+                return;
+            }
             this.currentPeer = peer.id;
-            this.dialogs.action.show(peer.name.displayName);
+            this.sendTargets = [peer.id];
+            this.dialogs.action.show(peerElement.querySelector('.peer-name').textContent);
+        });
+        
+        // Files and folders can also be dropped on a peer
+        peerElement.addEventListener('dragover', e => {
+            e.preventDefault();
+            peerElement.setAttribute('drop', '');
+        });
+        peerElement.addEventListener('dragleave', () => peerElement.removeAttribute('drop'));
+        peerElement.addEventListener('drop', e => {
+            e.preventDefault();
+            peerElement.removeAttribute('drop');
+            
+            droppedFiles(e.dataTransfer)
+                .then(files => {
+                    if (!files.length) return;
+                    Events.fire('files-selected', { files: files, to: peer.id });
+                    Events.fire('file-sent');
+                })
+                .catch(err => {
+                    console.error('Could not read dropped files:', err);
+                    Events.fire('notify-user', 'Could not read the dropped files');
+                });
         });
         
         $('peers').appendChild(peerElement);
@@ -302,19 +607,22 @@ class DrplUI {
         if (progress >= 1) {
             setTimeout(() => {
                 peerElement.removeAttribute('transfer');
+                peerElement.removeAttribute('paused');
             }, 500);
         }
     }
 
     /**
      * Handle initiation of file sending
-     * @param {Array} files - Files to send
-     * @param {string} peerId - Target peer ID
+     * @param {Object} transfer - Files to send, target peer ID and the offer they were accepted from
      */
-    handleFileSendStart(files, peerId) {
+    handleFileSendStart(transfer) {
+        const files = transfer.files;
+        
         // Start the transfer progress dialog
         this.dialogs.transferProgress.startTransfer(
-            peerId, 
+            transfer.to, 
+            transfer.offerId,
             files.length > 1 ? `${files.length} files` : files[0].name,
             files.length,
             files.length > 0 ? files[0].size : 0
@@ -325,15 +633,23 @@ class DrplUI {
      * Handle start of file reception
      * @param {Object} fileHeader - File metadata
      * @param {string} peerId - Source peer ID
+     * @param {number} fileNumber - Position of the file among the accepted ones
+     * @param {number} fileCount - Number of files accepted from the offer
      */
-    handleFileReceiveStart(fileHeader, peerId) {
+    handleFileReceiveStart(fileHeader, peerId, fileNumber, fileCount) {
         // Show the transfer progress dialog for receiving
         this.dialogs.transferProgress.startReceiving(
             peerId,
+            fileHeader.offerId,
             fileHeader.name,
-            fileHeader.size
+            fileHeader.size,
+            fileNumber,
+            fileCount
         );
         
+        // The sender keeps a batch paused from one file to the next
+        if (fileHeader.paused) this.onFileTransferPaused({ peerId: peerId, offerId: fileHeader.offerId, paused: true });
+        
         // Show the dialog, even if it's already visible
         this.dialogs.transferProgress.show();
     }
@@ -419,7 +735,7 @@ class ReceiveDialog extends Dialog {
         super('receive-dialog');
         this.files = [];
         this.currentIndex = 0;
-        this.objectUrls = {}; // Store URLs to prevent memory leaks
+        this.objectUrls = {}; // Store URLs by transfer ID to prevent memory leaks
         this.isTransitioning = false; // Flag to prevent rapid clicking
         this._setupCarousel();
         this._setupDownloadButtons();
@@ -494,6 +810,15 @@ class ReceiveDialog extends Dialog {
             
             this.downloadAllFiles();
         });
+        
+        // Files are kept until the user says they're done with them
+        $('discard-received').addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            
+            this.clearFiles();
+            this.hide();
+        });
     }
     
     /**
@@ -610,14 +935,16 @@ class ReceiveDialog extends Dialog {
         
         // Update file counter
         this._updateFileCounter();
+        this._updateDownloadAll();
         
-        // Create object URL for the file
-        if (!this.objectUrls[file.name]) {
-            this.objectUrls[file.name] = URL.createObjectURL(file.blob);
+        // Create object URL for the file (damaged files and files already in the downloads folder have no data)
+        if (file.blob && !this.objectUrls[file.transferId]) {
+            this.objectUrls[file.transferId] = URL.createObjectURL(file.blob);
         }
         
         // Update navigation buttons regardless of whether the dialog is showing
         this._updateNavButtons();
+        this._renderTree();
         
         // If this is the first file, display it
         if (this.files.length === 1) {
@@ -641,13 +968,20 @@ class ReceiveDialog extends Dialog {
         this.isTransitioning = true;
         
         const file = this.files[this.currentIndex];
-        let url = this.objectUrls[file.name];
+        let url = this.objectUrls[file.transferId];
         
-        if (!url) {
+        if (!url && file.blob) {
             url = URL.createObjectURL(file.blob);
-            this.objectUrls[file.name] = url;
+            this.objectUrls[file.transferId] = url;
         }
         
+        // Damaged files can't be downloaded, and streamed ones already are
+        $('download-current').classList.toggle('disabled', !file.blob);
+        
+        $('file-tree').querySelectorAll('.tree-file').forEach(item => {
+            item.classList.toggle('current', Number(item.dataset.index) === this.currentIndex);
+        });
+        
         // Clear the container with a fade effect
         this.carouselContainer.classList.add('fade-out');
         
@@ -669,14 +1003,28 @@ class ReceiveDialog extends Dialog {
             
             const fileSize = document.createElement('div');
             fileSize.className = 'file-size';
-            fileSize.textContent = this._formatFileSize(file.size);
+            fileSize.textContent = formatFileSize(file.size);
             
             fileInfo.appendChild(fileName);
             fileInfo.appendChild(fileSize);
             fileItem.appendChild(fileInfo);
             
-            // Preview if it's an image
-            if (file.mime.startsWith('image/')) {
+            if (file.corrupt) {
+                // Warn instead of offering a broken file
+                const fileIcon = document.createElement('div');
+                fileIcon.className = 'file-icon';
+                
+                const icon = document.createElement('i');
+                icon.className = 'fas fa-exclamation-triangle fa-4x';
+                fileIcon.appendChild(icon);
+                fileItem.appendChild(fileIcon);
+                
+                const warning = document.createElement('div');
+                warning.className = 'file-corrupt';
+                warning.textContent = 'This file was damaged in transfer and failed verification. Ask the sender to send it again.';
+                fileItem.appendChild(warning);
+            } else if (url && file.mime.startsWith('image/')) {
+                // Preview if it's an image
                 const preview = document.createElement('div');
                 preview.className = 'preview';
                 
@@ -699,6 +1047,21 @@ class ReceiveDialog extends Dialog {
                 fileItem.appendChild(fileIcon);
             }
             
+            // Without hashes from both sides there is nothing to say the file arrived intact
+            if (file.unverified) {
+                const notice = document.createElement('div');
+                notice.className = 'file-note';
+                notice.textContent = 'This file could not be checked for damage in transfer.';
+                fileItem.appendChild(notice);
+            }
+            
+            if (file.downloaded) {
+                const notice = document.createElement('div');
+                notice.className = 'file-note';
+                notice.textContent = 'Saved to your downloads folder.';
+                fileItem.appendChild(notice);
+            }
+            
             // Add to container
             this.carouselContainer.appendChild(fileItem);
             
@@ -749,6 +1112,54 @@ class ReceiveDialog extends Dialog {
         return false;
     }
     
+    /**
+     * Show the folders the files came in, if any came in folders
+     * Clicking a file shows it in the carousel
+     */
+    _renderTree() {
+        const tree = $('file-tree');
+        tree.innerHTML = '';
+        if (!this.files.some(file => file.path)) return;
+        
+        // Nest the files by folder
+        const root = { folders: {}, files: [] };
+        this.files.forEach((file, index) => {
+            const node = (file.path ? file.path.split('/') : []).reduce((node, part) => {
+                return node.folders[part] = node.folders[part] || { folders: {}, files: [] };
+            }, root);
+            node.files.push(index);
+        });
+        
+        const renderNode = node => {
+            const list = document.createElement('ul');
+            
+            Object.keys(node.folders).sort().forEach(name => {
+                const item = document.createElement('li');
+                item.className = 'tree-folder';
+                item.innerHTML = '<i class="fas fa-folder"></i> <span></span>';
+                item.querySelector('span').textContent = name;
+                item.appendChild(renderNode(node.folders[name]));
+                list.appendChild(item);
+            });
+            
+            node.files.forEach(index => {
+                const item = document.createElement('li');
+                item.className = 'tree-file';
+                item.dataset.index = index;
+                item.textContent = this.files[index].name;
+                item.classList.toggle('current', index === this.currentIndex);
+                item.addEventListener('click', () => {
+                    if (this.isTransitioning || index === this.currentIndex) return;
+                    this.currentIndex = index;
+                    this.displayCurrentFile();
+                });
+                list.appendChild(item);
+            });
+            return list;
+        };
+        tree.appendChild(renderNode(root));
+    }
+    
     /**
      * Update the file counter display
      */
@@ -762,6 +1173,23 @@ class ReceiveDialog extends Dialog {
         }
     }
     
+    /**
+     * Total size of the files that would go into a ZIP archive
+     * @returns {number} Size in bytes
+     */
+    _zipSize() {
+        return this.files.filter(file => file.blob).reduce((total, file) => total + file.size, 0);
+    }
+    
+    /**
+     * Disable downloading everything as a ZIP when it would not fit in memory
+     */
+    _updateDownloadAll() {
+        const tooBig = this._zipSize() > ZIP_LIMIT;
+        $('download-all').classList.toggle('disabled', tooBig);
+        $('download-all').title = tooBig ? `ZIP downloads are limited to ${formatFileSize(ZIP_LIMIT)}` : '';
+    }
+    
     /**
      * Update navigation button states
      */
@@ -823,10 +1251,20 @@ class ReceiveDialog extends Dialog {
      * @param {Object} file - File to download
      */
     downloadFile(file) {
-        let url = this.objectUrls[file.name];
+        if (file.corrupt) {
+            Events.fire('notify-user', 'This file is damaged and can\'t be downloaded');
+            return;
+        }
+        
+        if (file.downloaded) {
+            Events.fire('notify-user', 'This file is already in your downloads folder');
+            return;
+        }
+        
+        let url = this.objectUrls[file.transferId];
         if (!url) {
             url = URL.createObjectURL(file.blob);
-            this.objectUrls[file.name] = url;
+            this.objectUrls[file.transferId] = url;
         }
         
         const a = document.createElement('a');
@@ -850,16 +1288,31 @@ class ReceiveDialog extends Dialog {
         
         if (this.files.length === 0) return;
         
+        if (this._zipSize() > ZIP_LIMIT) {
+            Events.fire('notify-user', `Too big to ZIP (over ${formatFileSize(ZIP_LIMIT)}). Download the files one by one.`);
+            return;
+        }
+        
         // Show loading toast
         Events.fire('notify-user', 'Preparing ZIP file...');
         
         try {
             const zip = new JSZip();
+            const used = new Set();
             
-            // Add all files to the ZIP
-            for (const file of this.files) {
-                // Add file to zip with its name
-                zip.file(file.name, file.blob);
+            // Add all files to the ZIP (leaving out damaged and already downloaded ones), keeping their folders
+            for (const file of this.files.filter(file => file.blob)) {
+                // Files with the same path are numbered rather than overwritten
+                const path = filePath(file);
+                const dot = path.lastIndexOf('.');
+                const base = dot > path.lastIndexOf('/') + 1 ? path.slice(0, dot) : path;
+                const extension = path.slice(base.length);
+                
+                let name = path;
+                for (let i = 1; used.has(name); i++) name = `${base} (${i})${extension}`;
+                used.add(name);
+                
+                zip.file(name, file.blob);
             }
             
             // Generate the ZIP file
@@ -885,23 +1338,6 @@ class ReceiveDialog extends Dialog {
         }
     }
     
-    /**
-     * Format file size for display
-     * @param {number} bytes - Size in bytes
-     * @returns {string} Formatted size string
-     */
-    _formatFileSize(bytes) {
-        if (bytes >= 1e9) {
-            return (Math.round(bytes / 1e8) / 10) + ' GB';
-        } else if (bytes >= 1e6) {
-            return (Math.round(bytes / 1e5) / 10) + ' MB';
-        } else if (bytes > 1000) {
-            return Math.round(bytes / 1000) + ' KB';
-        } else {
-            return bytes + ' Bytes';
-        }
-    }
-    
     /**
      * Override hide method to prevent hiding during transitions
      */
@@ -929,20 +1365,27 @@ class ReceiveDialog extends Dialog {
     }
     
     /**
-     * Clear all files (used when resetting the dialog)
+     * Clear all files and delete any copies received to disk (used when the user discards them)
      */
     clearFiles() {
-        // Revoke all object URLs first to prevent memory leaks
-        Object.values(this.objectUrls).forEach(url => {
-            URL.revokeObjectURL(url);
-        });
+        const files = this.files;
+        const urls = Object.values(this.objectUrls);
+        
+        // Revoke the object URLs and delete the files received to disk, after giving
+        // downloads that just started a moment to read them
+        setTimeout(() => {
+            urls.forEach(url => URL.revokeObjectURL(url));
+            files.forEach(file => file.release && file.release());
+        }, 1000);
         
         this.files = [];
         this.objectUrls = {};
         this.currentIndex = 0;
         this.isTransitioning = false;
         this._updateFileCounter();
+        this._updateDownloadAll();
         this._updateNavButtons();
+        this._renderTree();
         this.carouselContainer.innerHTML = '';
     }
     
@@ -957,6 +1400,7 @@ class ReceiveDialog extends Dialog {
         Object.values(this.objectUrls).forEach(url => {
             URL.revokeObjectURL(url);
         });
+        this.files.forEach(file => file.release && file.release());
     }
 }
 
@@ -1191,6 +1635,16 @@ class ActionDialog extends Dialog {
             this.selectFiles();
         });
         
+        // Folder picking isn't available everywhere (e.g. most mobile browsers)
+        if ('webkitdirectory' in $('folder-input')) {
+            $('send-folder-button').addEventListener('click', () => {
+                this.hide();
+                $('folder-input').click();
+            });
+        } else {
+            $('send-folder-button').style.display = 'none';
+        }
+        
         $('send-text-action').addEventListener('click', () => {
             this.hide();
             // Show send text dialog
@@ -1199,20 +1653,27 @@ class ActionDialog extends Dialog {
             }
         });
         
-        $('file-input').addEventListener('change', e => {
-            const files = e.target.files;
-            if (!files.length) return;
-            
-            Events.fire('files-selected', {
-                files: files,
-                to: window.drplUI.currentPeer
-            });
-            
-            // Fire event for sound
-            Events.fire('file-sent');
-            
-            e.target.value = null; // Reset input
+        $('file-input').addEventListener('change', e => this.onFilesPicked(e.target));
+        $('folder-input').addEventListener('change', e => this.onFilesPicked(e.target));
+    }
+
+    /**
+     * Send the files picked in a file input
+     * @param {HTMLInputElement} input - File or folder input
+     */
+    onFilesPicked(input) {
+        const files = input.files;
+        if (!files.length) return;
+        
+        Events.fire('files-selected', {
+            files: files,
+            to: window.drplUI.sendTargets
         });
+        
+        // Fire event for sound
+        Events.fire('file-sent');
+        
+        input.value = null; // Reset input
     }
 
     /**
@@ -1247,6 +1708,315 @@ class ActionDialog extends Dialog {
     }
 }
 
+/**
+ * RoomDialog - Dialog for creating and joining pairing-code rooms
+ */
+class RoomDialog extends Dialog {
+    constructor() {
+        super('room-dialog');
+        this.code = null;
+        this.setupRoomButtons();
+        this.setRoom(null, false);
+    }
+
+    /**
+     * Set up create, join and leave buttons
+     */
+    setupRoomButtons() {
+        $('create-room-button').addEventListener('click', () => {
+            Events.fire('create-room');
+        });
+        
+        $('join-room-button').addEventListener('click', () => this.joinRoom());
+        
+        $('leave-room-button').addEventListener('click', () => {
+            Events.fire('leave-room');
+        });
+        
+        $('invite-button').addEventListener('click', () => {
+            this.hide();
+            Events.fire('create-invite');
+        });
+        
+        // Add enter key support and keep the code upper case
+        const codeInput = $('room-code-input');
+        codeInput.addEventListener('input', () => {
+            codeInput.value = codeInput.value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+        });
+        codeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.joinRoom();
+            }
+        });
+    }
+
+    /**
+     * Request to join the room for the entered code
+     */
+    joinRoom() {
+        const code = $('room-code-input').value.trim();
+        if (code.length !== 6) {
+            Events.fire('notify-user', 'Room codes are 6 characters long');
+            return;
+        }
+        
+        Events.fire('join-room', code);
+        $('room-code-input').value = '';
+    }
+
+    /**
+     * Update the dialog for the current room
+     * @param {string|null} code - Room code, if the room has one
+     * @param {boolean} joined - True when away from the local network room
+     */
+    setRoom(code, joined) {
+        this.code = code;
+        $('room-code').textContent = code || '';
+        $('room-current').style.display = code ? '' : 'none';
+        $('leave-room-button').style.display = joined ? '' : 'none';
+    }
+}
+
+/**
+ * InviteDialog - Dialog showing an invite link and its QR code
+ */
+class InviteDialog extends Dialog {
+    constructor() {
+        super('invite-dialog');
+        this.url = '';
+        
+        $('copy-invite').addEventListener('click', () => this.copyLink());
+    }
+
+    /**
+     * Show the dialog for a freshly created invite
+     * @param {string} url - Invite URL
+     */
+    showInvite(url) {
+        this.url = url;
+        $('invite-url').value = url;
+        
+        // Render the QR code if the library loaded
+        const qrElement = $('invite-qr');
+        qrElement.innerHTML = '';
+        if (window.QRCode) {
+            new QRCode(qrElement, {
+                text: url,
+                width: 200,
+                height: 200,
+                correctLevel: QRCode.CorrectLevel.M
+            });
+        }
+        
+        this.show();
+    }
+
+    /**
+     * Copy the invite link to the clipboard
+     */
+    copyLink() {
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(this.url)
+                .then(() => Events.fire('notify-user', 'Invite link copied'))
+                .catch(err => console.error('Could not copy link:', err));
+            return;
+        }
+        
+        // Fallback for browsers without clipboard API
+        $('invite-url').select();
+        try {
+            document.execCommand('copy');
+            Events.fire('notify-user', 'Invite link copied');
+        } catch (err) {
+            console.error('Could not copy link:', err);
+        }
+    }
+}
+
+/**
+ * NicknameDialog - Dialog for choosing how this device appears to others
+ */
+class NicknameDialog extends Dialog {
+    constructor() {
+        super('nickname-dialog');
+        this.setupNicknameButtons();
+    }
+
+    /**
+     * Set up save and reset buttons
+     */
+    setupNicknameButtons() {
+        $('save-nickname').addEventListener('click', () => this.save($('nickname-input').value));
+        $('reset-nickname').addEventListener('click', () => this.save(''));
+        
+        // Add enter key support
+        $('nickname-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.save($('nickname-input').value);
+            }
+        });
+    }
+
+    /**
+     * Show the dialog prefilled with the current name
+     * @param {Object} name - Current display name data
+     */
+    show(name) {
+        $('generated-name').textContent = name.displayName;
+        $('nickname-input').value = name.nickname || '';
+        super.show();
+        setTimeout(() => $('nickname-input').focus(), 100);
+    }
+
+    /**
+     * Save the nickname and close the dialog
+     * @param {string} nickname - New nickname (empty to reset)
+     */
+    save(nickname) {
+        Events.fire('set-nickname', nickname.trim());
+        this.hide();
+    }
+}
+
+/**
+ * OfferDialog - Dialog for accepting or declining files another device wants to send
+ */
+class OfferDialog extends Dialog {
+    constructor() {
+        super('offer-dialog');
+        this.offers = []; // Offers that arrived while another one was shown
+        this.setupOfferButtons();
+    }
+
+    /**
+     * Set up accept and decline buttons
+     */
+    setupOfferButtons() {
+        $('accept-offer').addEventListener('click', () => this.answer(this.selectedFiles()));
+        $('decline-offer').addEventListener('click', () => this.answer([]));
+        
+        // Writing straight into a folder needs the File System Access API
+        if (window.showDirectoryPicker) {
+            $('save-offer').addEventListener('click', () => this.saveToFolder());
+        } else {
+            $('save-offer').style.display = 'none';
+        }
+        $('offer-files').addEventListener('change', () => this.updateAcceptButton());
+    }
+
+    /**
+     * Show an offer, or queue it if one is already open
+     * @param {Object} offer - Offer ID, files, total size and sender ID
+     */
+    showOffer(offer) {
+        if (this.offer) {
+            this.offers.push(offer);
+            return;
+        }
+        this.offer = offer;
+        
+        const peerElement = $(offer.from);
+        const sender = peerElement ? peerElement.querySelector('.peer-name').textContent : 'A device';
+        const count = offer.files.length > 1 ? `${offer.files.length} files` : '1 file';
+        $('offer-description').textContent = `${sender} wants to send you ${count} (${formatFileSize(offer.total)}).`;
+        
+        const list = $('offer-files');
+        list.innerHTML = '';
+        offer.files.forEach((file, index) => {
+            const item = document.createElement('label');
+            item.className = 'offer-file';
+            item.innerHTML = `
+                <input type="checkbox" checked>
+                <span class="offer-file-name"></span>
+                <span class="offer-file-size"></span>
+            `;
+            item.querySelector('input').value = index;
+            item.querySelector('.offer-file-name').textContent = filePath(file);
+            item.querySelector('.offer-file-size').textContent = formatFileSize(file.size);
+            list.appendChild(item);
+        });
+        
+        // Only worth picking from when there is more than one file
+        list.style.display = offer.files.length > 1 ? '' : 'none';
+        this.updateAcceptButton();
+        this.show();
+    }
+
+    /**
+     * Get the indices of the checked files
+     * @returns {Array<number>} - Accepted file indices
+     */
+    selectedFiles() {
+        return Array.from($('offer-files').querySelectorAll('input:checked'), input => Number(input.value));
+    }
+
+    /**
+     * Label the accept button with what will be received
+     */
+    updateAcceptButton() {
+        const selected = this.selectedFiles().length;
+        const button = $('accept-offer');
+        
+        button.disabled = selected === 0;
+        $('save-offer').disabled = selected === 0;
+        if (selected === this.offer.files.length) {
+            button.textContent = this.offer.files.length > 1 ? 'Accept All' : 'Accept';
+        } else {
+            button.textContent = `Accept ${selected}`;
+        }
+    }
+
+    /**
+     * Accept the checked files and write them into a folder the user picks
+     */
+    saveToFolder() {
+        const accepted = this.selectedFiles();
+        window.showDirectoryPicker({ mode: 'readwrite' })
+            .then(directory => this.offer && this.answer(accepted, directory))
+            .catch(err => {
+                // Closing the picker leaves the offer open
+                if (err.name !== 'AbortError') console.error('Could not open folder:', err);
+            });
+    }
+
+    /**
+     * Answer the current offer and move on to the next one
+     * @param {Array<number>} accepted - Indices of the accepted files (empty to decline)
+     * @param {FileSystemDirectoryHandle} [directory] - Folder to save the files into
+     */
+    answer(accepted, directory) {
+        Events.fire('file-offer-answer', {
+            to: this.offer.from,
+            offerId: this.offer.offerId,
+            accepted: accepted,
+            directory: directory
+        });
+        this.next();
+    }
+
+    /**
+     * Drop an offer the sender cancelled before it was answered
+     * @param {string} offerId - ID of the offer
+     */
+    withdraw(offerId) {
+        this.offers = this.offers.filter(offer => offer.offerId !== offerId);
+        if (this.offer && this.offer.offerId === offerId) this.next();
+    }
+
+    /**
+     * Close the current offer and show the next queued one
+     */
+    next() {
+        this.offer = null;
+        this.hide();
+        
+        const next = this.offers.shift();
+        if (next) setTimeout(() => this.showOffer(next), 300);
+    }
+}
+
 /**
  * TransferProgressDialog - Dialog for displaying file transfer progress
  */
@@ -1255,6 +2025,7 @@ class TransferProgressDialog extends Dialog {
         super('transfer-progress-dialog');
         this.reset();
         this.activeTransfers = {};
+        this.transferRows = new Map(); // Rows of the transfer list, by offer ID
         this.lastUpdateTime = Date.now();
         this.lastBytes = 0;
         this.setupEscapeKey();
@@ -1290,6 +2061,20 @@ class TransferProgressDialog extends Dialog {
                 this.hide();
             });
         }
+        
+        // Stop the transfer shown in the dialog, on both ends
+        $('cancel-transfer').addEventListener('click', () => {
+            const transfer = this.activeTransfers[this.currentOffer];
+            if (!transfer) return;
+            Events.fire('cancel-transfer', { peerId: transfer.peerId, offerId: this.currentOffer });
+        });
+        
+        // Pause or continue it
+        $('pause-transfer').addEventListener('click', () => {
+            const transfer = this.activeTransfers[this.currentOffer];
+            if (!transfer) return;
+            Events.fire('pause-transfer', { peerId: transfer.peerId, offerId: this.currentOffer, paused: !transfer.paused });
+        });
     }
     
     /**
@@ -1305,13 +2090,15 @@ class TransferProgressDialog extends Dialog {
     /**
      * Initialize dialog for sending files
      * @param {string} peerId - Target peer ID
+     * @param {string} offerId - Offer the files were accepted from
      * @param {string} fileName - File name
      * @param {number} fileCount - Number of files
      * @param {number} fileSize - Size of first file
      */
-    startTransfer(peerId, fileName, fileCount = 1, fileSize = 0) {
+    startTransfer(peerId, offerId, fileName, fileCount = 1, fileSize = 0) {
         // Create new transfer record or reset existing one
-        this.activeTransfers[peerId] = {
+        this.activeTransfers[offerId] = {
+            peerId: peerId,
             totalFiles: fileCount,
             currentFile: 1,
             fileName: fileName,
@@ -1323,23 +2110,13 @@ class TransferProgressDialog extends Dialog {
             lastBytes: 0,
             speed: 0,
             completed: false,
+            paused: false,
             isSending: true // Flag that we're sending
         };
         
-        // Set dialog title based on transfer direction
-        $('transfer-title').textContent = 'Sending File' + (fileCount > 1 ? 's' : '');
-        
-        // Update the visual representation
-        this.updateUI(peerId);
-        
-        // Make sure the progress percentage is reset to 0%
-        const progressElement = document.querySelector('.progress-percentage');
-        if (progressElement) {
-            progressElement.textContent = '0%';
-        }
-        
-        // Initialize speed display
-        $('transfer-speed').textContent = 'Calculating...';
+        // Keep showing the transfer that is already running when several run at once
+        if (!this.isRunning(this.currentOffer) || this.currentOffer === offerId) this.showTransfer(offerId);
+        this.updateTransferList();
         
         // Show the dialog
         this.show();
@@ -1348,14 +2125,18 @@ class TransferProgressDialog extends Dialog {
     /**
      * Initialize dialog for receiving files
      * @param {string} peerId - Source peer ID
+     * @param {string} offerId - Offer the file belongs to
      * @param {string} fileName - File name
      * @param {number} fileSize - File size
+     * @param {number} fileNumber - Position of the file among the accepted ones
+     * @param {number} fileCount - Number of files accepted from the offer
      */
-    startReceiving(peerId, fileName, fileSize = 0) {
+    startReceiving(peerId, offerId, fileName, fileSize = 0, fileNumber = 1, fileCount = 1) {
         // Create new transfer record or reset existing one
-        this.activeTransfers[peerId] = {
-            totalFiles: 1, // We might not know the total count yet
-            currentFile: 1,
+        this.activeTransfers[offerId] = {
+            peerId: peerId,
+            totalFiles: fileCount,
+            currentFile: fileNumber,
             fileName: fileName,
             progress: 0, // Initialize at 0
             fileSize: fileSize,
@@ -1365,39 +2146,133 @@ class TransferProgressDialog extends Dialog {
             lastBytes: 0,
             speed: 0,
             completed: false,
+            paused: false,
             isReceiving: true // Flag that we're receiving
         };
         
-        // Set dialog title for receiving
-        $('transfer-title').textContent = 'Receiving File';
+        if (!this.isRunning(this.currentOffer) || this.currentOffer === offerId) this.showTransfer(offerId);
+        this.updateTransferList();
+        
+        // Show the dialog
+        this.show();
+    }
+    
+    /**
+     * Check whether a transfer is still going on
+     * @param {string} offerId - Offer the transfer belongs to
+     * @returns {boolean} - True if the transfer exists and isn't completed
+     */
+    isRunning(offerId) {
+        const transfer = this.activeTransfers[offerId];
+        return Boolean(transfer && !transfer.completed);
+    }
+    
+    /**
+     * Show a transfer in the main part of the dialog
+     * @param {string} offerId - Offer the transfer belongs to
+     */
+    showTransfer(offerId) {
+        const transfer = this.activeTransfers[offerId];
+        if (!transfer) return;
+        this.currentOffer = offerId;
+        this.updatePauseButton();
+        
+        // Set dialog title based on transfer direction
+        $('transfer-title').textContent = transfer.isSending
+            ? 'Sending File' + (transfer.totalFiles > 1 ? 's' : '')
+            : 'Receiving File';
         
         // Update the visual representation
-        this.updateUI(peerId);
+        this.updateUI(offerId);
         
-        // Make sure the progress percentage is reset to 0%
-        const progressElement = document.querySelector('.progress-percentage');
-        if (progressElement) {
-            progressElement.textContent = '0%';
+        // Speed is measured per transfer; wait for the next measurement
+        $('transfer-speed').textContent = transfer.paused ? 'Paused' : 'Calculating...';
+        this.updateTransferList();
+    }
+    
+    /**
+     * List every transfer in progress when there is more than one, so each can be shown
+     */
+    updateTransferList() {
+        const list = $('transfer-list');
+        const offerIds = Object.keys(this.activeTransfers);
+        if (offerIds.length < 2) {
+            list.innerHTML = '';
+            this.transferRows.clear();
+            return;
         }
         
-        // Initialize speed display
-        $('transfer-speed').textContent = 'Calculating...';
+        this.transferRows.forEach((row, offerId) => {
+            if (this.activeTransfers[offerId]) return;
+            row.remove();
+            this.transferRows.delete(offerId);
+        });
         
-        // Show the dialog
-        this.show();
+        offerIds.forEach(offerId => {
+            let row = this.transferRows.get(offerId);
+            if (!row) {
+                row = document.createElement('div');
+                row.className = 'transfer-row';
+                row.dataset.offer = offerId;
+                row.innerHTML = '<i></i><span class="transfer-row-name"></span><span class="transfer-row-status"></span>';
+                row.addEventListener('click', () => this.showTransfer(offerId));
+                list.appendChild(row);
+                this.transferRows.set(offerId, row);
+            }
+            this.updateTransferRow(row);
+        });
     }
     
     /**
-     * Update progress for an active transfer
+     * Update a row of the transfer list
+     * @param {Element} row - Row of the list
+     */
+    updateTransferRow(row) {
+        const offerId = row.dataset.offer;
+        const transfer = this.activeTransfers[offerId];
+        const peerElement = $(transfer.peerId);
+        
+        let status = `${Math.round(transfer.progress * 100)}%`;
+        if (transfer.completed) status = 'Done';
+        else if (transfer.paused) status = 'Paused';
+        
+        // Sending and receiving with the same peer get a row each
+        row.querySelector('i').className = transfer.isSending ? 'fas fa-arrow-up' : 'fas fa-arrow-down';
+        
+        // Names are user-controlled, so never insert them as HTML
+        row.querySelector('.transfer-row-name').textContent = peerElement
+            ? peerElement.querySelector('.peer-name').textContent
+            : 'Device';
+        row.querySelector('.transfer-row-status').textContent = status;
+        row.classList.toggle('current', offerId === this.currentOffer);
+    }
+    
+    /**
+     * Check whether any transfer with a peer is still going on
      * @param {string} peerId - Peer ID
+     * @returns {boolean} - True if one is running, in either direction
+     */
+    hasRunningTransfers(peerId) {
+        return Object.keys(this.activeTransfers)
+            .some(offerId => this.activeTransfers[offerId].peerId === peerId && this.isRunning(offerId));
+    }
+    
+    /**
+     * Update progress for an active transfer
+     * @param {string} offerId - Offer the transfer belongs to
+     * @param {string} transferId - Transfer of the file the progress is for
      * @param {number} progress - Progress (0-1)
      * @param {number} bytesTransferred - Bytes transferred
      */
-    updateProgress(peerId, progress, bytesTransferred = 0) {
+    updateProgress(offerId, transferId, progress, bytesTransferred = 0) {
         // Get the transfer record
-        const transfer = this.activeTransfers[peerId];
+        const transfer = this.activeTransfers[offerId];
         if (!transfer) return;
         
+        // Progress for another file of the offer means the last one is done
+        if (transfer.transferId && transfer.transferId !== transferId) this.nextFile(offerId);
+        transfer.transferId = transferId;
+        
         // Don't update if already completed
         if (transfer.completed) return;
         
@@ -1433,8 +2308,8 @@ class TransferProgressDialog extends Dialog {
                     transfer.speed = instantSpeed;
                 }
                 
-                // Update the speed display
-                this.updateSpeedDisplay(transfer.speed);
+                // Update the speed display (data still in flight arrives after a pause)
+                if (!transfer.paused && offerId === this.currentOffer) this.updateSpeedDisplay(transfer.speed);
             }
             
             // Update the last update time and bytes for next calculation
@@ -1443,14 +2318,14 @@ class TransferProgressDialog extends Dialog {
         }
         
         // Update the UI with new progress
-        this.updateUI(peerId);
+        this.updateUI(offerId);
         
-        // If progress reached 100% and we're sending, mark as completed
+        // If the last file reached 100% and we're sending, mark as completed
         // For receiving, we wait for endTransfer to be called
-        if (progress >= 1 && transfer.isSending) {
+        if (progress >= 1 && transfer.isSending && transfer.currentFile >= transfer.totalFiles) {
             // Give a short delay to show the 100% state
             setTimeout(() => {
-                this.endTransfer(peerId);
+                this.endTransfer(offerId);
             }, 500);
         }
     }
@@ -1490,13 +2365,13 @@ class TransferProgressDialog extends Dialog {
     
     /**
      * Move to next file in multi-file transfer
-     * @param {string} peerId - Peer ID
+     * @param {string} offerId - Offer the transfer belongs to
      * @param {string} fileName - Name of next file
      */
-    nextFile(peerId, fileName) {
-        if (!this.activeTransfers[peerId]) return;
+    nextFile(offerId, fileName) {
+        if (!this.activeTransfers[offerId]) return;
         
-        const transfer = this.activeTransfers[peerId];
+        const transfer = this.activeTransfers[offerId];
         
         // Reset progress for the next file
         transfer.completed = false;
@@ -1512,7 +2387,8 @@ class TransferProgressDialog extends Dialog {
         }
         
         // Update the UI with reset progress
-        this.updateUI(peerId);
+        this.updateUI(offerId);
+        if (offerId !== this.currentOffer) return;
         
         // Reset progress percentage to 0%
         const progressElement = document.querySelector('.progress-percentage');
@@ -1526,12 +2402,18 @@ class TransferProgressDialog extends Dialog {
     
     /**
      * Update UI elements with current transfer state
-     * @param {string} peerId - Peer ID
+     * @param {string} offerId - Offer the transfer belongs to
      */
-    updateUI(peerId) {
-        const transfer = this.activeTransfers[peerId];
+    updateUI(offerId) {
+        const transfer = this.activeTransfers[offerId];
         if (!transfer) return;
         
+        const row = this.transferRows.get(offerId);
+        if (row) this.updateTransferRow(row);
+        
+        // The main display belongs to one transfer
+        if (offerId !== this.currentOffer) return;
+        
         // Update file counter
         const currentFileElement = $('current-transfer-file');
         const totalFilesElement = $('total-transfer-files');
@@ -1588,24 +2470,82 @@ class TransferProgressDialog extends Dialog {
     
     /**
      * Mark a transfer as complete
-     * @param {string} peerId - Peer ID 
+     * @param {string} offerId - Offer the transfer belongs to 
      */
-    endTransfer(peerId) {
-        if (!this.activeTransfers[peerId]) return;
+    endTransfer(offerId) {
+        if (!this.activeTransfers[offerId]) return;
         
         // Set progress to 100% for UI consistency
-        this.activeTransfers[peerId].progress = 1;
+        this.activeTransfers[offerId].progress = 1;
         
         // Update the UI to show 100%
-        this.updateUI(peerId);
+        this.updateUI(offerId);
         
         // Mark as completed
-        this.activeTransfers[peerId].completed = true;
+        this.activeTransfers[offerId].completed = true;
+        this.updateTransferList();
+        
+        // Move on to a transfer that is still running
+        const running = Object.keys(this.activeTransfers).find(other => this.isRunning(other));
+        if (offerId === this.currentOffer && running) this.showTransfer(running);
         
         // Check if we should hide the dialog
         this.checkAndHideIfDone();
     }
     
+    /**
+     * Show a transfer as paused or running
+     * @param {string} offerId - Offer the transfer belongs to
+     * @param {boolean} paused - True if the transfer is paused
+     */
+    setPaused(offerId, paused) {
+        const transfer = this.activeTransfers[offerId];
+        if (!transfer) return;
+        
+        transfer.paused = paused;
+        
+        // Measure the speed afresh after the break
+        transfer.speed = 0;
+        transfer.lastUpdateTime = Date.now();
+        transfer.lastBytes = transfer.bytesTransferred;
+        
+        this.updateTransferList();
+        if (this.currentOffer !== offerId) return;
+        $('transfer-speed').textContent = paused ? 'Paused' : 'Calculating...';
+        this.updatePauseButton();
+    }
+    
+    /**
+     * Match the pause button and spinner to the transfer shown
+     */
+    updatePauseButton() {
+        const transfer = this.activeTransfers[this.currentOffer];
+        const paused = Boolean(transfer && transfer.paused);
+        
+        $('pause-transfer').textContent = paused ? 'Continue' : 'Pause';
+        this.element.classList.toggle('paused', paused);
+    }
+    
+    /**
+     * Drop a cancelled transfer; if it was the one shown, show another or close the dialog
+     * @param {string} offerId - Offer the transfer belongs to
+     */
+    cancelTransfer(offerId) {
+        if (!this.activeTransfers[offerId]) return;
+        delete this.activeTransfers[offerId];
+        this.updateTransferList();
+        
+        if (this.currentOffer !== offerId) return;
+        this.currentOffer = null;
+        
+        const running = Object.keys(this.activeTransfers).find(other => this.isRunning(other));
+        if (running) {
+            this.showTransfer(running);
+        } else {
+            this.hide();
+        }
+    }
+    
     /**
      * Override hide method to ensure clean-up and connection refresh
      */
@@ -1615,11 +2555,12 @@ class TransferProgressDialog extends Dialog {
         // Schedule cleanup of completed transfers
         setTimeout(() => {
             // Clean up completed transfers
-            for (const peerId in this.activeTransfers) {
-                if (this.activeTransfers[peerId].completed) {
-                    delete this.activeTransfers[peerId];
+            for (const offerId in this.activeTransfers) {
+                if (this.activeTransfers[offerId].completed) {
+                    delete this.activeTransfers[offerId];
                 }
             }
+            this.updateTransferList();
             
             // Refresh all connections after transfer completes
             if (window.drplUI) {
@@ -5,12 +5,46 @@
 
 // Core dependencies
 const http = require('http');
+const crypto = require('crypto');
 const express = require('express');
 const WebSocket = require('ws');
 const path = require('path');
 const parser = require('ua-parser-js');
 const { uniqueNamesGenerator, colors, animals } = require('unique-names-generator');
 
+// Local modules
+const RoomTokens = require('./lib/room-tokens');
+const RoomPolicy = require('./lib/room-policy');
+const TrustedProxies = require('./lib/trusted-proxies');
+const PeerIdentity = require('./lib/peer-identity');
+const RelayFrame = require('./lib/relay-frame');
+const MessageSchema = require('./lib/message-schema');
+const TokenBucket = require('./lib/token-bucket');
+const Metrics = require('./lib/metrics');
+const RoomStore = require('./lib/room-store');
+const Config = require('./lib/config');
+const TurnCredentials = require('./lib/turn-credentials');
+
+// Stop reading from a relaying peer while its recipient has this much data queued,
+// and start again once the queue has drained below the low-water mark
+const RELAY_HIGH_WATER = 1024 * 1024;
+const RELAY_LOW_WATER = 256 * 1024;
+
+// Relay frames cost one rate limit token per 64 KiB, opening a connection costs ten
+const CONNECT_COST = 10;
+
+// Messages that belong to a feature which can be switched off
+const FEATURE_MESSAGES = {
+    'create-room': 'pairingRooms',
+    'join-room': 'pairingRooms',
+    'leave-room': 'pairingRooms',
+    'create-invite': 'invites',
+    'set-name': 'nicknames'
+};
+
+// After a restart, clients may recreate the rooms they were in for this long
+const RESTART_GRACE = 30 * 1000;
+
 // ======================================================================
 // STRING EXTENSIONS
 // ======================================================================
@@ -41,63 +75,102 @@ class Peer {
      * Initialize a new peer
      * @param {WebSocket} socket - The WebSocket connection
      * @param {Object} request - The HTTP request
+     * @param {TrustedProxies} proxies - Proxies allowed to forward client addresses
      */
-    constructor(socket, request) {
+    constructor(socket, request, proxies) {
         // Set WebSocket connection
         this.socket = socket;
 
         // Extract client IP address
-        this._setIP(request);
+        this._setIP(request, proxies);
 
         // Set unique peer identifier
         this._setPeerId(request);
         
+        // Identify this tab among the device's connections
+        this._setSessionId(request);
+        
         // Check WebRTC support based on connection URL
         this.rtcSupported = request.url.indexOf('webrtc') > -1;
         
+        // Read invite token from connection URL
+        this._setInviteToken(request);
+        
+        // Token for taking this session back after a dropped connection
+        this._setResumeToken(request);
+        
         // Generate display name
         this._setName(request);
         
         // Initialize keepalive tracking
         this.timerId = 0;
         this.lastBeat = Date.now();
+        
+        // Set while relaying is paused for a slow recipient
+        this.relayTimer = null;
+        
+        // Standby session waiting for this one to hand over its device
+        this.handoverTo = null;
     }
 
     /**
      * Extract and normalize client IP address
      * @param {Object} request - HTTP request
+     * @param {TrustedProxies} proxies - Proxies allowed to forward client addresses
      * @private
      */
-    _setIP(request) {
-        // Check for proxy forwarded IP
-        if (request.headers['x-forwarded-for']) {
-            this.ip = request.headers['x-forwarded-for'].split(/\s*,\s*/)[0];
-        } else {
-            this.ip = request.socket.remoteAddress;
-        }
-        
-        // Normalize localhost addresses
-        if (this.ip == '::1' || this.ip == '::ffff:127.0.0.1') {
-            this.ip = '127.0.0.1';
-        }
+    _setIP(request, proxies) {
+        // Forwarded headers are only honored when they come from a trusted proxy
+        this.ip = proxies.clientAddress(request);
     }
 
     /**
-     * Set peer ID from cookie or generate new one
+     * Set peer ID verified or issued during the handshake
      * @param {Object} request - HTTP request
      * @private
      */
     _setPeerId(request) {
-        if (request.peerId) {
-            // ID was set in headers
-            this.id = request.peerId;
-        } else if (request.headers.cookie && request.headers.cookie.includes('peerid=')) {
-            // Extract ID from cookie
-            this.id = request.headers.cookie.split('peerid=')[1].split(';')[0];
-        } else {
-            // Generate new ID
-            this.id = Peer.uuid();
-        }
+        this.id = request.peerId;
+    }
+
+    /**
+     * Extract the per-tab session ID from the connection URL
+     * Clients that don't send one get a random ID, so every connection is its own session
+     * @param {Object} request - HTTP request
+     * @private
+     */
+    _setSessionId(request) {
+        const query = request.url.split('?')[1] || '';
+        const sessionId = new URLSearchParams(query).get('session');
+        this.sessionId = /^[\w-]{8,64}$/.test(sessionId) ? sessionId : crypto.randomUUID();
+    }
+
+    /**
+     * Extract one-time invite token from the connection URL
+     * @param {Object} request - HTTP request
+     * @private
+     */
+    _setInviteToken(request) {
+        const query = request.url.split('?')[1] || '';
+        this.inviteToken = new URLSearchParams(query).get('invite');
+    }
+
+    /**
+     * Issue a resume token and read the one the client presented, if any
+     * @param {Object} request - HTTP request
+     * @private
+     */
+    _setResumeToken(request) {
+        const query = request.url.split('?')[1] || '';
+        this.presentedResumeToken = new URLSearchParams(query).get('resume');
+        this.resumeToken = crypto.randomBytes(16).toString('hex');
+        
+        // Set while the socket is gone and we wait for the client to come back
+        this.resumeTimer = null;
+        this.suspended = false;
+        
+        // Set when the server closed the socket itself, so there is nothing to resume
+        this.rejected = false;
     }
 
     /**
@@ -142,10 +215,24 @@ class Peer {
             browser: ua.browser.name,
             type: ua.device.type,
             deviceName,
-            displayName
+            displayName,
+            nickname: null
         };
     }
 
+    /**
+     * Set or clear the user-chosen nickname
+     * @param {string} nickname - Requested nickname
+     * @returns {boolean} - True if the nickname changed
+     */
+    setNickname(nickname) {
+        nickname = Peer.cleanNickname(nickname);
+        if (nickname === this.name.nickname) return false;
+
+        this.name.nickname = nickname;
+        return true;
+    }
+
     /**
      * Get peer information for sharing with other peers
      * @returns {Object} - Peer information
@@ -159,31 +246,52 @@ class Peer {
     }
 
     /**
-     * Generate a UUID v4
-     * @returns {string} - UUID string
-     */
-    static uuid() {
-        let uuid = '';
-        for (let i = 0; i < 32; i++) {
-            switch (i) {
-                case 8:
-                case 20:
-                    uuid += '-';
-                    uuid += (Math.random() * 16 | 0).toString(16);
-                    break;
-                case 12:
-                    uuid += '-';
-                    uuid += '4';
-                    break;
-                case 16:
-                    uuid += '-';
-                    uuid += (Math.random() * 4 | 8).toString(16);
-                    break;
-                default:
-                    uuid += (Math.random() * 16 | 0).toString(16);
-            }
-        }
-        return uuid;
+     * Sanitize a user-chosen nickname
+     * Removes control characters, collapses whitespace and limits the length
+     * @param {string} nickname - Raw nickname
+     * @returns {string|null} - Clean nickname, or null if nothing is left
+     */
+    static cleanNickname(nickname) {
+        if (typeof nickname !== 'string') return null;
+
+        const clean = nickname
+            .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        // Count code points so emoji are not cut in half
+        return Array.from(clean).slice(0, 32).join('').trim() || null;
+    }
+}
+
+// ======================================================================
+// REMOTE PEER CLASS
+// ======================================================================
+
+/**
+ * RemotePeer - A device connected to another server instance
+ * Stands in for it in our rooms so local peers can see it and message it
+ */
+class RemotePeer {
+    /**
+     * @param {string} instanceId - Instance the device is connected to
+     * @param {string} roomId - Room the device is in
+     * @param {Object} info - Peer information as returned by Peer.getInfo()
+     */
+    constructor(instanceId, roomId, info) {
+        this.remote = true;
+        this.instanceId = instanceId;
+        this.roomId = roomId;
+        this.id = info.id;
+        this.info = info;
+    }
+
+    /**
+     * Get peer information for sharing with other peers
+     * @returns {Object} - Peer information
+     */
+    getInfo() {
+        return this.info;
     }
 }
 
@@ -198,65 +306,415 @@ class DrplServer {
     /**
      * Initialize the server
      * @param {http.Server} server - HTTP server instance
+     * @param {Object} [options] - Server options
+     * @param {Object} [options.roomPolicy] - Network room grouping rules (see RoomPolicy)
+     * @param {Object} [options.trustedProxies] - Reverse proxy settings (see TrustedProxies)
+     * @param {string} options.peerIdSecret - Secret used to sign peer IDs
+     * @param {number} [options.maxPayload] - Largest message a client may send, in bytes
+     * @param {Object} [options.rateLimits] - Token bucket settings ({peer, ip}, each {rate, burst})
+     * @param {EventEmitter} [options.roomStore] - Adapter shared with other instances (see lib/room-store)
+     * @param {number} [options.keepAlive] - Time between pings, in milliseconds
+     * @param {number} [options.resumeGrace] - How long a dropped session keeps its place, in milliseconds (0 to disable)
+     * @param {Object} [options.features] - Optional features to enable ({pairingRooms, invites, nicknames})
+     * @param {Array<Object>} [options.iceServers] - STUN/TURN servers handed to clients
+     * @param {Object} [options.turn] - TURN REST API settings ({secret, urls, ttl}, see TurnCredentials)
      */
-    constructor(server) {
+    constructor(server, options = {}) {
         // Create WebSocket server
-        this._wss = new WebSocket.Server({ server: server });
+        this._wss = new WebSocket.Server({
+            server: server,
+            maxPayload: options.maxPayload || Config.DEFAULTS.limits.maxPayload
+        });
+        this._proxies = new TrustedProxies(options.trustedProxies);
+        this._identity = new PeerIdentity(options.peerIdSecret);
+        
+        // Rate limits, with one shared bucket per client address
+        this._limits = Object.assign({}, Config.DEFAULTS.limits.rateLimits, options.rateLimits);
+        this._ipBuckets = new Map();
+        
+        this._keepAliveInterval = options.keepAlive || Config.DEFAULTS.timeouts.keepAlive;
+        this._resumeGrace = options.resumeGrace !== undefined
+            ? options.resumeGrace
+            : Config.DEFAULTS.timeouts.resumeGrace;
+        this._features = Object.assign({}, Config.DEFAULTS.features, options.features);
+        
+        // ICE servers for WebRTC, plus a TURN server with per-peer credentials if configured
+        this._iceServers = options.iceServers || Config.DEFAULTS.iceServers;
+        this._turn = new TurnCredentials(options.turn);
         
         // Set up event handlers
         this._wss.on('connection', (socket, request) => 
-            this._onConnection(new Peer(socket, request)));
-        this._wss.on('headers', (headers, response) => 
-            this._onHeaders(headers, response));
+            this._onSocket(socket, request));
+        this._wss.on('headers', (headers, request) => 
+            this._onHeaders(headers, request));
 
-        // Initialize rooms storage (grouped by IP)
+        // Initialize rooms storage (grouped by network or pairing code)
+        // Each room maps a device ID to the session other peers talk to
         this._rooms = {};
         
+        this._policy = new RoomPolicy(options.roomPolicy);
+        
+        // Every open session (browser tab) of each device
+        this._sessions = {};
+        
+        // One-time invite tokens mapped to the room they open
+        this._invites = {};
+        
+        // Signed with the same secret, so tokens still work after a restart
+        this._roomTokens = new RoomTokens(options.peerIdSecret);
+        
+        // Share rooms with other instances of the server
+        this._instanceId = crypto.randomUUID();
+        this._store = options.roomStore || RoomStore.create();
+        this._store.on('ready', () => this._onStoreReady());
+        this._store.on('disconnected', () => this._onInstanceDown(null));
+        this._store.on('instance-down', instanceId => this._onInstanceDown(instanceId));
+        this._store.on('message', (message, from) => this._onStoreMessage(message, from));
+        this._store.start(this._instanceId);
+        
+        this._setupMetrics();
+        
+        // Set once a shutdown has started
+        this._closing = false;
+        this._startedAt = Date.now();
+        
         console.log('drpl.co WebSocket server is running');
     }
 
+    /**
+     * Register the metrics exposed on /metrics
+     * Gauges are read from the room state when scraped, counters are updated as things happen
+     * @private
+     */
+    _setupMetrics() {
+        this.metrics = new Metrics();
+        
+        this.metrics.gauge('drpl_rooms', 'Rooms with at least one device',
+            () => Object.keys(this._rooms).length);
+        // Devices on other instances are counted there, so the sum across instances stays right
+        this.metrics.gauge('drpl_peers', 'Devices in a room connected to this instance',
+            () => Object.values(this._rooms).reduce((sum, room) =>
+                sum + Object.values(room).filter(peer => !peer.remote).length, 0));
+        this.metrics.gauge('drpl_connections', 'Open WebSocket connections, one per browser tab',
+            () => Object.values(this._sessions).reduce((sum, sessions) =>
+                sum + Object.values(sessions).filter(session => !session.suspended).length, 0));
+        this.metrics.histogram('drpl_room_size', 'Devices per room',
+            [1, 2, 3, 5, 10, 20, 50], () => this._roomSizes());
+        
+        this._counters = {
+            connections: this.metrics.counter('drpl_connections_total',
+                'WebSocket connections accepted'),
+            rejected: this.metrics.counter('drpl_rejected_total',
+                'Connections closed by the server for misbehaving, by reason'),
+            relayed: this.metrics.counter('drpl_messages_relayed_total',
+                'Messages relayed between peers, by type'),
+            relayBytes: this.metrics.counter('drpl_relay_bytes_total',
+                'Bytes of data relayed for peers without WebRTC'),
+            timeouts: this.metrics.counter('drpl_keepalive_timeouts_total',
+                'Connections dropped after missing keepalive pings'),
+            resumed: this.metrics.counter('drpl_sessions_resumed_total',
+                'Sessions taken back by a reconnecting tab within the grace period')
+        };
+    }
+
+    /**
+     * Count the devices in each room
+     * @returns {Array<number>} - Room sizes
+     * @private
+     */
+    _roomSizes() {
+        return Object.values(this._rooms).map(room => Object.keys(room).length);
+    }
+
+    /**
+     * Accept or reject a new socket based on its peer ID
+     * @param {WebSocket} socket - The WebSocket connection
+     * @param {Object} request - The HTTP request
+     * @private
+     */
+    _onSocket(socket, request) {
+        const peer = new Peer(socket, request, this._proxies);
+        
+        // Checked first, so bad IDs can't be used to hammer the server with connections
+        if (!this._ipBucket(peer.ip).take(CONNECT_COST)) {
+            this._reject(peer, 4429, 'Too many connections');
+            return;
+        }
+        
+        // A fresh ID has already been issued in the handshake, so the client can retry with it
+        if (request.forgedPeerId) {
+            this._reject(peer, 4401, 'Invalid peer ID');
+            return;
+        }
+        
+        // Other tabs of the same device are welcome, but a session can't be taken over while it is live
+        const existing = this._sessions[peer.id] && this._sessions[peer.id][peer.sessionId];
+        if (existing) {
+            // Unless the tab proves it is the same one coming back (the old socket may not have timed out yet)
+            if (this._canResume(existing, peer)) {
+                this._resume(existing, peer);
+                return;
+            }
+            
+            if (existing.socket.readyState === WebSocket.OPEN) {
+                console.warn(`Rejected duplicate connection for session ${peer.sessionId} of peer ${peer.id}`);
+                socket.close(4409, 'Session already connected');
+                return;
+            }
+            
+            // The old socket is already gone, we just haven't cleaned up yet
+            this._leaveRoom(existing);
+        }
+        
+        this._onConnection(peer);
+    }
+
     /**
      * Handle new WebSocket connection
      * @param {Peer} peer - New peer
      * @private
      */
     _onConnection(peer) {
+        this._counters.connections.inc();
+        
+        // Peers start out in the room for their network
+        peer.homeRoomId = this._policy.roomFor(peer.ip);
+        peer.roomId = peer.homeRoomId;
+        
+        // Invited peers skip their network room
+        if (peer.inviteToken && this._features.invites) {
+            this._redeemInvite(peer);
+        }
+        
+        // Register the session with its device
+        if (!this._sessions[peer.id]) {
+            this._sessions[peer.id] = {};
+        }
+        this._sessions[peer.id][peer.sessionId] = peer;
+        
         // Add peer to appropriate room
         this._joinRoom(peer);
         
         // Set up event listeners
-        peer.socket.on('message', message => this._onMessage(peer, message));
-        peer.socket.on('error', console.error);
-        peer.socket.on('close', () => this._leaveRoom(peer));
+        peer.rateLimit = new TokenBucket(this._limits.peer);
+        this._attachSocket(peer);
         
         // Start keepalive process
         this._keepAlive(peer);
 
         // Send display name to the peer
+        this._sendDisplayName(peer);
+        
+        if (this._resumeGrace) {
+            this._send(peer, { type: 'resume-token', token: peer.resumeToken, grace: this._resumeGrace });
+        }
+    }
+
+    /**
+     * Listen to a session's socket
+     * A resumed session moves to a new socket, after which the old one is ignored
+     * @param {Peer} peer - Session that owns the socket
+     * @private
+     */
+    _attachSocket(peer) {
+        const socket = peer.socket;
+        socket.on('message', (message, isBinary) => {
+            if (peer.socket === socket) this._onData(peer, message, isBinary);
+        });
+        socket.on('error', console.error);
+        socket.on('close', () => {
+            if (peer.socket === socket) this._onClose(peer);
+        });
+    }
+
+    /**
+     * Handle a closed socket
+     * The device a session speaks for keeps its place for a grace period, so a
+     * short drop doesn't make it disappear for everyone else
+     * @param {Peer} peer - Session whose socket closed
+     * @private
+     */
+    _onClose(peer) {
+        const sessions = this._sessions[peer.id];
+        const room = this._rooms[peer.roomId];
+        
+        // Standby tabs, tabs with a sibling to take over and peers we threw out can go right away
+        const holdsPlace = sessions && sessions[peer.sessionId] === peer
+            && room && room[peer.id] === peer
+            && this._sessionsIn(peer.roomId, peer.id).length === 1;
+        
+        if (!this._resumeGrace || this._closing || peer.rejected || !holdsPlace) {
+            this._leaveRoom(peer);
+            return;
+        }
+        
+        this._cancelKeepAlive(peer);
+        clearTimeout(peer.relayTimer);
+        peer.relayTimer = null;
+        
+        peer.suspended = true;
+        peer.resumeTimer = setTimeout(() => this._leaveRoom(peer), this._resumeGrace);
+    }
+
+    /**
+     * Check whether a new connection may take over an existing session
+     * @param {Peer} session - Existing session with the same device and session ID
+     * @param {Peer} peer - New connection
+     * @returns {boolean} - True if the connection presented the session's resume token
+     * @private
+     */
+    _canResume(session, peer) {
+        if (!this._resumeGrace || !peer.presentedResumeToken) return false;
+        
+        const expected = Buffer.from(session.resumeToken);
+        const actual = Buffer.from(peer.presentedResumeToken);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * Move an existing session onto a new connection
+     * The session keeps its room, nickname and place; nobody else hears about it
+     * @param {Peer} session - Session to resume
+     * @param {Peer} peer - New connection for it
+     * @private
+     */
+    _resume(session, peer) {
+        this._counters.resumed.inc();
+        
+        clearTimeout(session.resumeTimer);
+        session.resumeTimer = null;
+        session.suspended = false;
+        
+        // Drop the old socket if it is still hanging on
+        const oldSocket = session.socket;
+        session.socket = peer.socket;
+        session.ip = peer.ip;
+        session.rtcSupported = peer.rtcSupported;
+        session.lastBeat = Date.now();
+        this._attachSocket(session);
+        if (oldSocket.readyState !== WebSocket.CLOSED) oldSocket.terminate();
+        
+        this._keepAlive(session);
+        this._sendDisplayName(session);
+        this._send(session, { type: 'resume-token', token: session.resumeToken, grace: this._resumeGrace });
+        
+        // A device that changed networks belongs in its new network room
+        const homeRoomId = this._policy.roomFor(session.ip);
+        if (homeRoomId !== session.homeRoomId) {
+            const atHome = session.roomId === session.homeRoomId;
+            session.homeRoomId = homeRoomId;
+            
+            if (atHome) {
+                this._switchRoom(session, homeRoomId);
+                return;
+            }
+        }
+        
+        // Catch up on what happened while we were away
+        const room = this._rooms[session.roomId] || {};
+        this._send(session, { type: 'session-state', active: room[session.id] === session });
+        this._sendPeers(session);
+    }
+
+    /**
+     * Tell a peer how it is shown to others
+     * @param {Peer} peer - Target peer
+     * @private
+     */
+    _sendDisplayName(peer) {
         this._send(peer, {
             type: 'display-name',
             message: {
                 displayName: peer.name.displayName,
-                deviceName: peer.name.deviceName
+                deviceName: peer.name.deviceName,
+                nickname: peer.name.nickname
             }
         });
     }
 
     /**
-     * Handle HTTP headers before WebSocket upgrade
-     * @param {Array} headers - HTTP headers
-     * @param {Object} response - HTTP response
+     * Verify or issue the signed peer ID before the WebSocket upgrade
+     * @param {Array} headers - HTTP response headers
+     * @param {Object} request - HTTP request
      * @private
      */
-    _onHeaders(headers, response) {
-        // Skip if peer ID already exists in cookie
-        if (response.headers.cookie && response.headers.cookie.indexOf('peerid=') > -1) {
-            return;
+    _onHeaders(headers, request) {
+        const cookie = request.headers.cookie || '';
+        const match = /(?:^|;\s*)peerid=([^;]*)/.exec(cookie);
+        
+        // Keep the peer ID if its signature checks out
+        if (match) {
+            request.peerId = this._identity.verify(decodeURIComponent(match[1]));
+            if (request.peerId) return;
+            
+            console.warn(`Rejected invalid peer ID from ${request.socket.remoteAddress}`);
+            request.forgedPeerId = true;
         }
         
         // Generate and set new peer ID
-        response.peerId = Peer.uuid();
-        headers.push('Set-Cookie: peerid=' + response.peerId + "; SameSite=Strict; Secure");
+        const identity = this._identity.create();
+        request.peerId = identity.id;
+        headers.push('Set-Cookie: peerid=' + identity.token + "; SameSite=Strict; Secure");
+    }
+
+    /**
+     * Rate limit incoming data and pass it on by kind
+     * @param {Peer} peer - Sending peer
+     * @param {Buffer} data - Message data
+     * @param {boolean} isBinary - True for relay frames
+     * @private
+     */
+    _onData(peer, data, isBinary) {
+        // Ignore whatever was already in flight when we closed the socket
+        if (peer.socket.readyState !== WebSocket.OPEN) return;
+        
+        const cost = isBinary ? Math.ceil(data.length / 65536) : 1;
+        if (!peer.rateLimit.take(cost) || !this._ipBucket(peer.ip).take(cost)) {
+            this._reject(peer, 4429, 'Rate limit exceeded');
+            return;
+        }
+        
+        if (isBinary) {
+            this._onFrame(peer, data);
+        } else {
+            this._onMessage(peer, data);
+        }
+    }
+
+    /**
+     * Get the rate limit shared by all connections from an address
+     * @param {string} ip - Client address
+     * @returns {TokenBucket} - Token bucket for the address
+     * @private
+     */
+    _ipBucket(ip) {
+        let bucket = this._ipBuckets.get(ip);
+        if (bucket) return bucket;
+        
+        // Forget addresses that have been quiet long enough to refill
+        if (this._ipBuckets.size > 10000) {
+            for (const [address, idle] of this._ipBuckets) {
+                if (idle.isFull()) this._ipBuckets.delete(address);
+            }
+        }
+        
+        bucket = new TokenBucket(this._limits.ip);
+        this._ipBuckets.set(ip, bucket);
+        return bucket;
+    }
+
+    /**
+     * Close the socket of a misbehaving peer
+     * @param {Peer} peer - Offending peer
+     * @param {number} code - WebSocket close code
+     * @param {string} reason - Reason sent to the client and logged
+     * @private
+     */
+    _reject(peer, code, reason) {
+        console.warn(`Closing connection from ${peer.ip}: ${reason}`);
+        this._counters.rejected.inc({ reason: reason });
+        peer.rejected = true;
+        peer.socket.close(code, reason);
     }
 
     /**
@@ -270,7 +728,28 @@ class DrplServer {
         try {
             message = JSON.parse(message);
         } catch (e) {
-            return; // Ignore malformed JSON
+            this._reject(sender, 1008, 'Malformed message');
+            return;
+        }
+        
+        // Only known message types with well-formed fields get through
+        message = MessageSchema.validate(message);
+        if (!message) {
+            this._reject(sender, 1008, 'Invalid message');
+            return;
+        }
+
+        // Turn away requests for features this server has switched off
+        const feature = FEATURE_MESSAGES[message.type];
+        if (feature && !this._features[feature]) {
+            // Clients send their nickname on every connect, so don't complain about it
+            if (feature !== 'nicknames') {
+                this._send(sender, {
+                    type: 'room-error',
+                    message: 'This feature is disabled on this server'
+                });
+            }
+            return;
         }
 
         // Handle message based on type
@@ -281,12 +760,42 @@ class DrplServer {
             case 'pong':
                 sender.lastBeat = Date.now();
                 break;
+            case 'create-room':
+                this._createCodeRoom(sender);
+                break;
+            case 'join-room':
+                this._joinCodeRoom(sender, message.code);
+                break;
+            case 'rejoin-room':
+                this._rejoinRoom(sender, message.token);
+                break;
+            case 'leave-room':
+                this._leaveCodeRoom(sender);
+                break;
+            case 'create-invite':
+                this._createInvite(sender);
+                break;
+            case 'set-name':
+                this._setNickname(sender, message.name);
+                break;
+            case 'session-active':
+                this._activateSession(sender);
+                break;
+            case 'session-release':
+                this._releaseSession(sender);
+                break;
+            case 'turn-credentials':
+                this._sendIceServers(sender);
+                break;
         }
 
         // Relay message to recipient if specified
-        if (message.to && this._rooms[sender.ip]) {
+        if (MessageSchema.isRelayable(message.type) && this._rooms[sender.roomId]) {
+            // Only the active tab talks for its device; others are leftovers from before a switch
+            if (this._rooms[sender.roomId][sender.id] !== sender) return;
+            
             const recipientId = message.to;
-            const recipient = this._rooms[sender.ip][recipientId];
+            const recipient = this._rooms[sender.roomId][recipientId];
             
             if (!recipient) return; // Recipient not found
             
@@ -295,74 +804,646 @@ class DrplServer {
             message.sender = sender.id;
             
             // Send to recipient
-            this._send(recipient, message);
+            this._relay(recipient, message);
+            this._counters.relayed.inc({ type: message.type });
+            if (message.type === 'relay') {
+                this._counters.relayBytes.inc(null, Buffer.byteLength(message.data));
+            }
         }
     }
 
     /**
-     * Add a peer to its IP-based room
-     * @param {Peer} peer - Peer to add
+     * Forward a binary relay frame to its recipient
+     * @param {Peer} sender - Sending peer
+     * @param {Buffer} data - Relay frame (see lib/relay-frame.js)
+     * @private
+     */
+    _onFrame(sender, data) {
+        const frame = RelayFrame.decode(data);
+        if (!frame) {
+            this._reject(sender, 1008, 'Invalid relay frame');
+            return;
+        }
+        
+        // Only the active tab talks for its device
+        if (!this._rooms[sender.roomId] || this._rooms[sender.roomId][sender.id] !== sender) return;
+        
+        const recipient = this._rooms[sender.roomId][frame.peerId];
+        if (!recipient || recipient === sender) return;
+        
+        // Tell the recipient who the data is from
+        if (recipient.remote) {
+            this._store.send(recipient.instanceId, {
+                type: 'frame',
+                roomId: recipient.roomId,
+                to: recipient.id,
+                from: sender.id,
+                data: frame.payload.toString('base64')
+            });
+        } else {
+            this._sendFrame(recipient, RelayFrame.encode(sender.id, frame.payload));
+        }
+        this._counters.relayed.inc({ type: 'frame' });
+        this._counters.relayBytes.inc(null, frame.payload.length);
+        this._throttle(sender, recipient);
+    }
+
+    /**
+     * Pause a relaying peer until its recipient catches up
+     * @param {Peer} sender - Peer sending relay frames
+     * @param {Peer|RemotePeer} recipient - Peer receiving them
+     * @private
+     */
+    _throttle(sender, recipient) {
+        // Data for other instances queues up in the room store instead
+        const backlog = () => recipient.remote ? this._store.bufferedAmount : recipient.socket.bufferedAmount;
+        const gone = () => !recipient.remote && recipient.socket.readyState !== WebSocket.OPEN;
+        
+        if (sender.relayTimer || backlog() < RELAY_HIGH_WATER) return;
+        
+        sender.socket.pause();
+        
+        const check = () => {
+            const drained = gone() || backlog() < RELAY_LOW_WATER;
+            
+            if (!drained) {
+                sender.relayTimer = setTimeout(check, 50);
+                return;
+            }
+            
+            sender.relayTimer = null;
+            sender.socket.resume();
+        };
+        
+        sender.relayTimer = setTimeout(check, 50);
+    }
+
+    /**
+     * Add a session to its current room
+     * The first session of a device represents it, later ones wait on standby
+     * @param {Peer} peer - Session to add
      * @private
      */
     _joinRoom(peer) {
         // If room doesn't exist, create it
-        if (!this._rooms[peer.ip]) {
-            this._rooms[peer.ip] = {};
+        if (!this._rooms[peer.roomId]) {
+            this._rooms[peer.roomId] = {};
         }
 
-        // Notify all existing peers in the room
-        for (const otherPeerId in this._rooms[peer.ip]) {
-            const otherPeer = this._rooms[peer.ip][otherPeerId];
-            this._send(otherPeer, {
-                type: 'peer-joined',
+        const room = this._rooms[peer.roomId];
+        const existing = room[peer.id];
+
+        // Other tabs of this device are already known to the room (tabs on other instances don't count)
+        if (!existing || existing.remote) {
+            this._broadcast(peer.roomId, {
+                type: existing ? 'peer-updated' : 'peer-joined',
                 peer: peer.getInfo()
-            });
+            }, peer.id);
+
+            room[peer.id] = peer;
+            this._store.publish({ type: 'join', roomId: peer.roomId, peer: peer.getInfo() });
         }
 
-        // Collect information about existing peers
+        // Tell the session whether it talks for its device, then who else is here
+        this._send(peer, { type: 'session-state', active: room[peer.id] === peer });
+        this._sendPeers(peer);
+    }
+
+    /**
+     * Send a session the list of other devices in its room
+     * @param {Peer} peer - Target session
+     * @private
+     */
+    _sendPeers(peer) {
+        const room = this._rooms[peer.roomId] || {};
+
+        // Collect information about other devices
         const otherPeers = [];
-        for (const otherPeerId in this._rooms[peer.ip]) {
-            otherPeers.push(this._rooms[peer.ip][otherPeerId].getInfo());
+        for (const otherPeerId in room) {
+            if (otherPeerId === peer.id) continue;
+            otherPeers.push(room[otherPeerId].getInfo());
         }
 
-        // Notify new peer about existing peers
         this._send(peer, {
             type: 'peers',
             peers: otherPeers
         });
-
-        // Add peer to room
-        this._rooms[peer.ip][peer.id] = peer;
     }
 
     /**
-     * Remove a peer from its room
-     * @param {Peer} peer - Peer to remove
+     * Close a session: remove it from its room and stop keeping it alive
+     * @param {Peer} peer - Session to remove
      * @private
      */
     _leaveRoom(peer) {
-        // Check if peer exists in a room
-        if (!this._rooms[peer.ip] || !this._rooms[peer.ip][peer.id]) {
+        // Check if the session is still open
+        const sessions = this._sessions[peer.id];
+        if (!sessions || sessions[peer.sessionId] !== peer) {
             return;
         }
         
-        // Cancel keepalive timer
-        this._cancelKeepAlive(this._rooms[peer.ip][peer.id]);
+        // Cancel keepalive, relay and resume timers
+        this._cancelKeepAlive(peer);
+        clearTimeout(peer.relayTimer);
+        clearTimeout(peer.resumeTimer);
+        
+        // Everyone is leaving at once and coming right back, so don't tell them about each other
+        if (this._closing) return;
 
-        // Delete the peer
-        delete this._rooms[peer.ip][peer.id];
+        this._removeFromRoom(peer);
 
-        // If room is empty, delete it
-        if (!Object.keys(this._rooms[peer.ip]).length) {
-            delete this._rooms[peer.ip];
+        delete sessions[peer.sessionId];
+        if (!Object.keys(sessions).length) {
+            delete this._sessions[peer.id];
+        }
+    }
+
+    /**
+     * Take a session out of its room and notify the remaining members
+     * If another tab of the same device is in the room, it takes over instead
+     * @param {Peer} peer - Session to remove
+     * @private
+     */
+    _removeFromRoom(peer) {
+        const room = this._rooms[peer.roomId];
+
+        // Standby sessions are invisible to the rest of the room
+        if (!room || room[peer.id] !== peer) {
+            return;
+        }
+
+        // Prefer a tab that is still connected over one waiting to resume
+        const others = this._sessionsIn(peer.roomId, peer.id).filter(session => session !== peer);
+        const successor = others.find(session => !session.suspended) || others[0];
+        if (successor) {
+            this._setActiveSession(successor);
+            return;
+        }
+
+        // Delete the device
+        delete room[peer.id];
+        this._store.publish({ type: 'leave', roomId: peer.roomId, peerId: peer.id });
+
+        // If room is empty, delete it (this also expires its pairing code)
+        if (!Object.keys(room).length) {
+            delete this._rooms[peer.roomId];
         } else {
-            // Notify all remaining peers
-            for (const otherPeerId in this._rooms[peer.ip]) {
-                const otherPeer = this._rooms[peer.ip][otherPeerId];
-                this._send(otherPeer, { 
-                    type: 'peer-left', 
-                    peerId: peer.id 
-                });
+            this._broadcast(peer.roomId, {
+                type: 'peer-left',
+                peerId: peer.id
+            });
+        }
+    }
+
+    /**
+     * Make a standby session the one its device uses in its room
+     * A connected active tab is asked first, since switching would cut off its transfers
+     * @param {Peer} peer - Session that wants to take over
+     * @private
+     */
+    _activateSession(peer) {
+        const room = this._rooms[peer.roomId];
+        if (!room || !room[peer.id]) return;
+
+        const current = room[peer.id];
+        if (current === peer) {
+            // The user came back before the tab they left let go
+            peer.handoverTo = null;
+            return;
+        }
+
+        if (!current.remote && !current.suspended) {
+            current.handoverTo = peer;
+            this._send(current, { type: 'session-handover' });
+            return;
+        }
+
+        this._handOver(current, peer);
+    }
+
+    /**
+     * Switch to the session waiting for this one, now that it has nothing in progress
+     * @param {Peer} peer - Active session that agreed to hand over
+     * @private
+     */
+    _releaseSession(peer) {
+        const successor = peer.handoverTo;
+        peer.handoverTo = null;
+
+        const room = this._rooms[peer.roomId];
+        if (!successor || !room || room[peer.id] !== peer) return;
+
+        // The waiting tab may have closed or moved on in the meantime
+        const sessions = this._sessions[peer.id] || {};
+        if (sessions[successor.sessionId] !== successor || successor.roomId !== peer.roomId) return;
+
+        this._handOver(peer, successor);
+    }
+
+    /**
+     * Move a device from one of its sessions to another
+     * @param {Peer} current - Session giving up the device
+     * @param {Peer} peer - Session taking over
+     * @private
+     */
+    _handOver(current, peer) {
+        current.handoverTo = null;
+        this._send(current, { type: 'session-state', active: false });
+        this._setActiveSession(peer);
+    }
+
+    /**
+     * Route a device's traffic to a new session
+     * Other devices drop their connection to the old tab and wait for the new one to call
+     * @param {Peer} peer - Newly active session
+     * @private
+     */
+    _setActiveSession(peer) {
+        this._rooms[peer.roomId][peer.id] = peer;
+        this._store.publish({ type: 'session-changed', roomId: peer.roomId, peerId: peer.id });
+
+        this._broadcast(peer.roomId, {
+            type: 'peer-session-changed',
+            peerId: peer.id
+        }, peer.id);
+
+        this._send(peer, { type: 'session-state', active: true });
+        this._sendPeers(peer);
+    }
+
+    /**
+     * Update a device's nickname and share it with its rooms
+     * @param {Peer} peer - Session that renamed the device
+     * @param {string} nickname - Requested nickname
+     * @private
+     */
+    _setNickname(peer, nickname) {
+        const sessions = Object.values(this._sessions[peer.id] || {});
+        const changed = sessions.filter(session => session.setNickname(nickname));
+
+        // Tabs can be in different rooms, so tell each room where this device is active
+        for (const session of changed) {
+            if (this._rooms[session.roomId][session.id] !== session) continue;
+
+            this._broadcast(session.roomId, {
+                type: 'peer-updated',
+                peer: session.getInfo()
+            }, session.id);
+            this._store.publish({ type: 'update', roomId: session.roomId, peer: session.getInfo() });
+        }
+
+        // Echo back the cleaned up name
+        sessions.forEach(session => this._sendDisplayName(session));
+    }
+
+    /**
+     * Send a peer the ICE servers to use for its next WebRTC connection
+     * @param {Peer} peer - Requesting peer
+     * @private
+     */
+    _sendIceServers(peer) {
+        const iceServers = this._iceServers.slice();
+        const turn = this._turn.issue(peer.id);
+        if (turn) iceServers.push(turn);
+
+        this._send(peer, { type: 'ice-servers', iceServers: iceServers });
+    }
+
+    /**
+     * Move a connected peer from its current room into another one
+     * @param {Peer} peer - Peer to move
+     * @param {string} roomId - Destination room
+     * @private
+     */
+    _switchRoom(peer, roomId) {
+        if (peer.roomId === roomId) return;
+
+        this._removeFromRoom(peer);
+        peer.roomId = roomId;
+        this._joinRoom(peer);
+    }
+
+    /**
+     * Create a new pairing-code room and move the peer into it
+     * @param {Peer} peer - Requesting peer
+     * @private
+     */
+    _createCodeRoom(peer) {
+        // Pick a code that is not currently in use
+        let code;
+        do {
+            code = DrplServer.roomCode();
+        } while (this._rooms[DrplServer.codeRoomId(code)]);
+
+        this._sendRoomJoined(peer, DrplServer.codeRoomId(code));
+        this._switchRoom(peer, DrplServer.codeRoomId(code));
+    }
+
+    /**
+     * Move a peer into an existing pairing-code room
+     * @param {Peer} peer - Requesting peer
+     * @param {string} code - Pairing code entered by the user
+     * @private
+     */
+    _joinCodeRoom(peer, code) {
+        code = typeof code === 'string' ? code.trim().toUpperCase() : '';
+        const roomId = DrplServer.codeRoomId(code);
+
+        // Codes only exist while their room has members
+        if (!DrplServer.isRoomCode(code) || !this._rooms[roomId]) {
+            this._send(peer, {
+                type: 'room-error',
+                code: code,
+                message: 'Room not found or expired'
+            });
+            return;
+        }
+
+        this._sendRoomJoined(peer, roomId);
+        this._switchRoom(peer, roomId);
+    }
+
+    /**
+     * Move a peer back into the room it was in before it reconnected
+     * @param {Peer} peer - Requesting peer
+     * @param {string} token - Room token from when the peer joined
+     * @private
+     */
+    _rejoinRoom(peer, token) {
+        const roomId = this._roomTokens.verify(token, peer.id);
+
+        // Rooms don't survive a restart, so let their members bring them back for a little while
+        const restoring = Date.now() - this._startedAt < RESTART_GRACE;
+
+        if (!roomId || (!this._rooms[roomId] && !restoring)) {
+            this._send(peer, {
+                type: 'room-error',
+                rejoin: true,
+                message: 'The room you were in has expired'
+            });
+            return;
+        }
+
+        this._sendRoomJoined(peer, roomId);
+        this._switchRoom(peer, roomId);
+    }
+
+    /**
+     * Tell a peer it joined a room
+     * The token lets the peer back in after a reconnect, even into another network's room
+     * @param {Peer} peer - Peer that joined
+     * @param {string} roomId - Room it joined
+     * @private
+     */
+    _sendRoomJoined(peer, roomId) {
+        this._send(peer, {
+            type: 'room-joined',
+            code: roomId.startsWith('code:') ? roomId.slice(5) : null,
+            token: this._roomTokens.issue(roomId, peer.id)
+        });
+    }
+
+    /**
+     * Move a peer from its pairing-code room back to its network room
+     * @param {Peer} peer - Requesting peer
+     * @private
+     */
+    _leaveCodeRoom(peer) {
+        if (peer.roomId === peer.homeRoomId) return;
+
+        this._send(peer, { type: 'room-left' });
+        this._switchRoom(peer, peer.homeRoomId);
+    }
+
+    /**
+     * Issue a one-time invite token for the peer's current room
+     * @param {Peer} peer - Requesting peer
+     * @private
+     */
+    _createInvite(peer) {
+        const now = Date.now();
+        
+        // Drop invites nobody used
+        for (const token in this._invites) {
+            if (this._invites[token].expires < now) {
+                delete this._invites[token];
+            }
+        }
+        
+        const token = crypto.randomBytes(18).toString('base64url');
+        const expires = now + 10 * 60 * 1000; // 10 minutes
+        this._invites[token] = { roomId: peer.roomId, expires: expires };
+        this._store.publish({ type: 'invite', token: token, invite: this._invites[token] });
+        
+        this._send(peer, { type: 'invite', token: token, expires: expires });
+    }
+
+    /**
+     * Consume a peer's invite token and place it in the invited room
+     * @param {Peer} peer - Newly connected peer
+     * @private
+     */
+    _redeemInvite(peer) {
+        const invite = this._invites[peer.inviteToken];
+        delete this._invites[peer.inviteToken];
+        this._store.publish({ type: 'invite-used', token: peer.inviteToken });
+        
+        // Invites can only be used once, before they expire, while the room is open
+        if (!invite || invite.expires < Date.now() || !this._rooms[invite.roomId]) {
+            this._send(peer, {
+                type: 'room-error',
+                message: 'Invite link is invalid or expired'
+            });
+            return;
+        }
+        
+        // Share the pairing code, and a token so the client can rejoin after a reconnect
+        this._sendRoomJoined(peer, invite.roomId);
+        peer.roomId = invite.roomId;
+    }
+
+    /**
+     * Get the sessions a device has open in a room
+     * @param {string} roomId - Room to look in
+     * @param {string} peerId - Device ID
+     * @returns {Array<Peer>} - Active and standby sessions
+     * @private
+     */
+    _sessionsIn(roomId, peerId) {
+        return Object.values(this._sessions[peerId] || {})
+            .filter(session => session.roomId === roomId);
+    }
+
+    /**
+     * Send a message to every session in a room
+     * @param {string} roomId - Target room
+     * @param {Object} message - Message to send
+     * @param {string} [exceptId] - Device to leave out
+     * @private
+     */
+    _broadcast(roomId, message, exceptId) {
+        for (const peerId in this._rooms[roomId]) {
+            if (peerId === exceptId) continue;
+            this._sessionsIn(roomId, peerId).forEach(session => this._send(session, message));
+        }
+    }
+
+    /**
+     * Deliver a relayed message to a local or remote peer
+     * @param {Peer|RemotePeer} recipient - Target peer
+     * @param {Object} message - Message to deliver
+     * @private
+     */
+    _relay(recipient, message) {
+        if (recipient.remote) {
+            this._store.send(recipient.instanceId, {
+                type: 'relay',
+                roomId: recipient.roomId,
+                to: recipient.id,
+                message: message
+            });
+        } else {
+            this._send(recipient, message);
+        }
+    }
+
+    /**
+     * Introduce our devices to the other instances after (re)connecting to them
+     * @private
+     */
+    _onStoreReady() {
+        this._store.publish({ type: 'sync', members: this._localMembers() });
+    }
+
+    /**
+     * List the devices connected to this instance
+     * @returns {Array<{roomId: string, peer: Object}>} - Room and info of each device
+     * @private
+     */
+    _localMembers() {
+        const members = [];
+        for (const roomId in this._rooms) {
+            for (const peerId in this._rooms[roomId]) {
+                const peer = this._rooms[roomId][peerId];
+                if (!peer.remote) members.push({ roomId: roomId, peer: peer.getInfo() });
+            }
+        }
+        return members;
+    }
+
+    /**
+     * Handle a message from another instance
+     * @param {Object} message - Room store message
+     * @param {string} from - Sending instance
+     * @private
+     */
+    _onStoreMessage(message, from) {
+        const room = this._rooms[message.roomId];
+        const target = room && room[message.to];
+        const local = target && !target.remote ? target : null;
+
+        switch (message.type) {
+            case 'sync':
+                // A new instance: tell it about our devices and learn about its own
+                this._store.send(from, { type: 'members', members: this._localMembers() });
+                message.members.forEach(member => this._addRemotePeer(from, member.roomId, member.peer));
+                break;
+            case 'members':
+                message.members.forEach(member => this._addRemotePeer(from, member.roomId, member.peer));
+                break;
+            case 'join':
+            case 'update':
+                this._addRemotePeer(from, message.roomId, message.peer);
+                break;
+            case 'leave':
+                this._removeRemotePeer(from, message.roomId, message.peerId);
+                break;
+            case 'session-changed':
+                if (room && room[message.peerId] && room[message.peerId].remote) {
+                    this._broadcast(message.roomId, {
+                        type: 'peer-session-changed',
+                        peerId: message.peerId
+                    }, message.peerId);
+                }
+                break;
+            case 'relay':
+                if (local) this._send(local, message.message);
+                break;
+            case 'frame':
+                if (local) {
+                    this._sendFrame(local, RelayFrame.encode(message.from, Buffer.from(message.data, 'base64')));
+                }
+                break;
+            case 'invite':
+                this._invites[message.token] = message.invite;
+                break;
+            case 'invite-used':
+                delete this._invites[message.token];
+                break;
+        }
+    }
+
+    /**
+     * Add or update a device connected to another instance
+     * @param {string} instanceId - Instance the device is connected to
+     * @param {string} roomId - Room the device is in
+     * @param {Object} info - Peer information
+     * @private
+     */
+    _addRemotePeer(instanceId, roomId, info) {
+        if (!this._rooms[roomId]) {
+            this._rooms[roomId] = {};
+        }
+
+        const room = this._rooms[roomId];
+        const existing = room[info.id];
+
+        // Tabs connected here take precedence over the same device elsewhere
+        if (existing && !existing.remote) return;
+
+        room[info.id] = new RemotePeer(instanceId, roomId, info);
+        this._broadcast(roomId, {
+            type: existing ? 'peer-updated' : 'peer-joined',
+            peer: info
+        }, info.id);
+    }
+
+    /**
+     * Remove a device connected to another instance
+     * @param {string} instanceId - Instance that reported the device
+     * @param {string} roomId - Room the device was in
+     * @param {string} peerId - Device ID
+     * @private
+     */
+    _removeRemotePeer(instanceId, roomId, peerId) {
+        const room = this._rooms[roomId];
+        const peer = room && room[peerId];
+        if (!peer || !peer.remote || peer.instanceId !== instanceId) return;
+
+        delete room[peerId];
+
+        if (!Object.keys(room).length) {
+            delete this._rooms[roomId];
+        } else {
+            this._broadcast(roomId, {
+                type: 'peer-left',
+                peerId: peerId
+            });
+        }
+    }
+
+    /**
+     * Forget the devices of an instance that went away
+     * @param {string|null} instanceId - Instance that is gone, or null if we lost contact with all of them
+     * @private
+     */
+    _onInstanceDown(instanceId) {
+        for (const roomId in this._rooms) {
+            for (const peerId in this._rooms[roomId]) {
+                const peer = this._rooms[roomId][peerId];
+                if (peer.remote && (!instanceId || peer.instanceId === instanceId)) {
+                    this._removeRemotePeer(peer.instanceId, roomId, peerId);
+                }
             }
         }
     }
@@ -386,6 +1467,21 @@ class DrplServer {
         }
     }
 
+    /**
+     * Send binary data to a peer
+     * @param {Peer} peer - Target peer
+     * @param {Buffer} data - Data to send
+     * @private
+     */
+    _sendFrame(peer, data) {
+        if (!peer || !peer.socket) return;
+        if (peer.socket.readyState !== WebSocket.OPEN) return;
+        
+        peer.socket.send(data, { binary: true }, error => {
+            if (error) console.error('Send error:', error);
+        });
+    }
+
     /**
      * Maintain connection with periodic pings
      * @param {Peer} peer - Peer to keep alive
@@ -395,7 +1491,7 @@ class DrplServer {
         // Clear any existing timer
         this._cancelKeepAlive(peer);
         
-        const timeout = 30000; // 30 seconds
+        const timeout = this._keepAliveInterval;
         
         // Initialize lastBeat if not set
         if (!peer.lastBeat) {
@@ -404,6 +1500,7 @@ class DrplServer {
         
         // Check if peer has timed out (missed two pings)
         if (Date.now() - peer.lastBeat > 2 * timeout) {
+            this._counters.timeouts.inc();
             this._leaveRoom(peer);
             return;
         }
@@ -423,12 +1520,101 @@ class DrplServer {
             clearTimeout(peer.timerId);
         }
     }
+
+    /**
+     * Shut down gracefully
+     * Warns every client, waits for relayed data to drain, then closes all sockets
+     * @param {number} [timeout=5000] - Longest time to wait for relays to drain, in milliseconds
+     * @returns {Promise} - Resolves once every socket is closed
+     */
+    shutdown(timeout = 5000) {
+        this._closing = true;
+
+        const peers = [];
+        Object.values(this._sessions).forEach(sessions => peers.push(...Object.values(sessions)));
+        peers.forEach(peer => this._send(peer, { type: 'server-restarting' }));
+        peers.forEach(peer => clearTimeout(peer.resumeTimer));
+
+        const deadline = Date.now() + timeout;
+        const drained = new Promise(resolve => {
+            const check = () => {
+                const busy = peers.some(peer => peer.relayTimer
+                    || (peer.socket.readyState === WebSocket.OPEN && peer.socket.bufferedAmount > 0));
+
+                if (busy && Date.now() < deadline) {
+                    setTimeout(check, 50);
+                    return;
+                }
+                resolve();
+            };
+            check();
+        });
+
+        return drained.then(() => new Promise(resolve => {
+            this._wss.close(() => resolve());
+            this._wss.clients.forEach(socket => {
+                socket.resume(); // Paused relay senders need to read the close frame
+                socket.close(1012, 'Server restarting');
+            });
+
+            // Don't wait forever for clients that never answer the close handshake
+            setTimeout(() => this._wss.clients.forEach(socket => socket.terminate()), 2000).unref();
+        })).then(() => this._store.close());
+    }
+
+    /**
+     * Generate a random pairing code
+     * Ambiguous characters (0/O, 1/I/L) are left out so codes are easy to read aloud
+     * @returns {string} - Six character code
+     */
+    static roomCode() {
+        const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+        let code = '';
+        for (let i = 0; i < 6; i++) {
+            code += alphabet[crypto.randomInt(alphabet.length)];
+        }
+        return code;
+    }
+
+    /**
+     * Check whether a string is a well-formed pairing code
+     * @param {string} code - Code to check
+     * @returns {boolean} - True if the code could have been generated by roomCode()
+     */
+    static isRoomCode(code) {
+        return /^[ABCDEFGHJKMNPQRSTUVWXYZ2-9]{6}$/.test(code);
+    }
+
+    /**
+     * Get the room key used for a pairing code
+     * Prefixed so codes can never collide with network rooms
+     * @param {string} code - Pairing code
+     * @returns {string} - Room identifier
+     */
+    static codeRoomId(code) {
+        return 'code:' + code;
+    }
 }
 
 // ======================================================================
 // SERVER INITIALIZATION
 // ======================================================================
 
+/**
+ * Check a request's Authorization header against a bearer token
+ * @param {Object} req - HTTP request
+ * @param {string} token - Expected token
+ * @returns {boolean} - True if the request carries the token
+ */
+function hasBearerToken(req, token) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+    
+    // Compare digests so the check takes the same time for any input
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
 // Create the Express app
 const app = express();
 
@@ -438,11 +1624,63 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Create HTTP server
 const server = http.createServer(app);
 
-// Set port from environment or default
-const PORT = process.env.PORT || 3002;
+// Settings from the config file, environment and command line (see lib/config.js)
+let config;
+let peerIdSecret;
+try {
+    config = Config.load();
+    peerIdSecret = config.peerIdSecret || PeerIdentity.loadSecret(config.peerIdSecretFile);
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+
+// Share rooms with other instances through a broker (host:port), if configured
+const roomStore = RoomStore.create({ broker: config.roomBroker });
+
+const drplServer = new DrplServer(server, {
+    roomPolicy: config.roomPolicy,
+    trustedProxies: config.trustedProxies,
+    peerIdSecret: peerIdSecret,
+    maxPayload: config.limits.maxPayload,
+    rateLimits: config.limits.rateLimits,
+    keepAlive: config.timeouts.keepAlive,
+    resumeGrace: config.timeouts.resumeGrace,
+    features: config.features,
+    iceServers: config.iceServers,
+    turn: config.turn,
+    roomStore: roomStore
+});
+
+// Settings the web app needs before it connects
+app.get('/config', (req, res) => {
+    res.set('Cache-Control', 'no-store').json(Config.forClient(config));
+});
+
+// Expose metrics for Prometheus, behind a bearer token if one is set
+const metricsToken = config.metricsToken;
+app.get('/metrics', (req, res) => {
+    if (metricsToken && !hasBearerToken(req, metricsToken)) {
+        res.set('WWW-Authenticate', 'Bearer').status(401).end();
+        return;
+    }
+    res.type(Metrics.contentType).send(drplServer.metrics.render());
+});
 
 // Start the server
-server.listen(PORT, () => {
-    console.log(`Server listening on port ${PORT}`);
-    new DrplServer(server);
-});
\ No newline at end of file
+server.listen(config.port, () => {
+    console.log(`Server listening on port ${config.port}`);
+});
+
+// Let clients know we are restarting instead of just dropping them
+let shuttingDown = false;
+const shutdown = signal => {
+    if (shuttingDown) process.exit(1); // A second signal means now
+    shuttingDown = true;
+
+    console.log(`Received ${signal}, shutting down`);
+    server.close();
+    drplServer.shutdown(config.timeouts.shutdown).then(() => process.exit(0));
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
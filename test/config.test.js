@@ -0,0 +1,103 @@
+/**
+ * drpl.co - Configuration tests
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Config = require('../lib/config');
+
+describe('Config.load', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drpl-config-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Write a JSON file to the temporary directory
+     * @param {string} name - File name
+     * @param {any} contents - Contents, or a string to write as is
+     * @returns {string} - File path
+     */
+    function writeFile(name, contents) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+        return file;
+    }
+
+    test('starts from the defaults', () => {
+        const config = Config.load({ argv: [], env: {} });
+        assert.deepStrictEqual(config, Config.DEFAULTS);
+        assert.notStrictEqual(config.timeouts, Config.DEFAULTS.timeouts);
+    });
+
+    test('applies the file, then the environment, then flags', () => {
+        const file = writeFile('layers.json', { port: 1000, timeouts: { keepAlive: 1000 }, metricsToken: 'file' });
+        const config = Config.load({
+            argv: ['--config', file, '--port', '3000'],
+            env: { PORT: '2000', KEEPALIVE_TIMEOUT: '2000' }
+        });
+
+        assert.strictEqual(config.port, 3000);
+        assert.strictEqual(config.timeouts.keepAlive, 2000);
+        assert.strictEqual(config.metricsToken, 'file');
+        assert.strictEqual(config.timeouts.shutdown, Config.DEFAULTS.timeouts.shutdown);
+    });
+
+    test('reads the config file from DRPL_CONFIG', () => {
+        const file = writeFile('env.json', { roomBroker: '127.0.0.1:4000' });
+        assert.strictEqual(Config.load({ argv: [], env: { DRPL_CONFIG: file } }).roomBroker, '127.0.0.1:4000');
+    });
+
+    test('parses each kind of value', () => {
+        const policy = writeFile('policy.json', { groups: [] });
+        const config = Config.load({
+            argv: ['--invites=false', '--nicknames', '--room-policy', policy],
+            env: {
+                TRUSTED_PROXIES: '10.0.0.0/8, 192.168.1.5,',
+                ICE_SERVERS: '[{"urls":"stun:example.com"}]',
+                FEATURE_PAIRING_ROOMS: 'off'
+            }
+        });
+
+        assert.deepStrictEqual(config.trustedProxies.proxies, ['10.0.0.0/8', '192.168.1.5']);
+        assert.deepStrictEqual(config.iceServers, [{ urls: 'stun:example.com' }]);
+        assert.deepStrictEqual(config.roomPolicy, { groups: [] });
+        assert.deepStrictEqual(config.features, { pairingRooms: false, invites: false, nicknames: true });
+    });
+
+    test('ignores empty environment variables', () => {
+        assert.strictEqual(Config.load({ argv: [], env: { PORT: '' } }).port, Config.DEFAULTS.port);
+    });
+
+    test('explains bad values', () => {
+        assert.throws(() => Config.load({ argv: ['--port', '-1'], env: {} }), /--port must be a whole number/);
+        assert.throws(() => Config.load({ argv: [], env: { FEATURE_INVITES: 'maybe' } }), /FEATURE_INVITES must be true or false/);
+        assert.throws(() => Config.load({ argv: [], env: { ICE_SERVERS: '[' } }), /ICE_SERVERS is not valid JSON/);
+        assert.throws(() => Config.load({ argv: ['--config', path.join(dir, 'missing.json')], env: {} }), /Cannot read/);
+        assert.throws(() => Config.load({ argv: ['--config', writeFile('bad.json', '{')], env: {} }), /not valid JSON/);
+    });
+
+    test('rejects unknown flags and stray arguments', () => {
+        assert.throws(() => Config.load({ argv: ['--colour', 'blue'], env: {} }), /Unknown option: --colour/);
+        assert.throws(() => Config.load({ argv: ['3000'], env: {} }), /Unexpected argument: 3000/);
+    });
+});
+
+describe('Config.forClient', () => {
+    test('only shares what the web app needs', () => {
+        const config = Config.load({ argv: ['--peer-id-secret', 'hidden', '--turn-secret', 'hidden'], env: {} });
+        assert.deepStrictEqual(Config.forClient(config), {
+            iceServers: config.iceServers,
+            features: config.features
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * drpl.co - Message Schema tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const MessageSchema = require('../lib/message-schema');
+
+describe('MessageSchema.validate', () => {
+    test('accepts known messages', () => {
+        assert.deepStrictEqual(MessageSchema.validate({ type: 'pong' }), { type: 'pong' });
+        assert.deepStrictEqual(
+            MessageSchema.validate({ type: 'set-name', name: 'Laptop' }),
+            { type: 'set-name', name: 'Laptop' }
+        );
+    });
+
+    test('rejects unknown types and non-objects', () => {
+        assert.strictEqual(MessageSchema.validate({ type: 'shutdown' }), null);
+        assert.strictEqual(MessageSchema.validate({ type: 'hasOwnProperty' }), null);
+        assert.strictEqual(MessageSchema.validate(null), null);
+        assert.strictEqual(MessageSchema.validate('pong'), null);
+        assert.strictEqual(MessageSchema.validate([]), null);
+    });
+
+    test('drops unknown fields', () => {
+        assert.deepStrictEqual(
+            MessageSchema.validate({ type: 'join-room', code: 'ABC123', sender: 'someone-else' }),
+            { type: 'join-room', code: 'ABC123' }
+        );
+    });
+
+    test('checks field types and lengths', () => {
+        assert.strictEqual(MessageSchema.validate({ type: 'set-name', name: 42 }), null);
+        assert.strictEqual(MessageSchema.validate({ type: 'set-name', name: 'x'.repeat(257) }), null);
+        assert.strictEqual(MessageSchema.validate({ type: 'set-name' }), null);
+        assert.strictEqual(MessageSchema.validate({ type: 'rejoin-room', token: null }), null);
+    });
+
+    test('accepts a signal with either a description or a candidate', () => {
+        const sdp = { type: 'offer', sdp: 'v=0' };
+        const ice = { candidate: 'candidate:1 1 udp 1 1.2.3.4 5 typ host', sdpMid: '0', sdpMLineIndex: 0 };
+
+        assert.deepStrictEqual(
+            MessageSchema.validate({ type: 'signal', to: 'peer', sdp: sdp }),
+            { type: 'signal', to: 'peer', sdp: sdp }
+        );
+        assert.deepStrictEqual(
+            MessageSchema.validate({ type: 'signal', to: 'peer', ice: ice }),
+            { type: 'signal', to: 'peer', ice: ice }
+        );
+    });
+
+    test('rejects a signal with both or neither', () => {
+        const sdp = { type: 'answer', sdp: 'v=0' };
+        const ice = { candidate: 'candidate:1' };
+
+        assert.strictEqual(MessageSchema.validate({ type: 'signal', to: 'peer' }), null);
+        assert.strictEqual(MessageSchema.validate({ type: 'signal', to: 'peer', sdp: sdp, ice: ice }), null);
+    });
+
+    test('checks nested objects', () => {
+        assert.strictEqual(
+            MessageSchema.validate({ type: 'signal', to: 'peer', sdp: { type: 'rollback', sdp: '' } }),
+            null
+        );
+        assert.strictEqual(
+            MessageSchema.validate({ type: 'signal', to: 'peer', ice: { candidate: 'c', sdpMLineIndex: -1 } }),
+            null
+        );
+        assert.deepStrictEqual(
+            MessageSchema.validate({ type: 'signal', to: 'peer', ice: { candidate: 'c', sdpMid: null } }),
+            { type: 'signal', to: 'peer', ice: { candidate: 'c', sdpMid: null } }
+        );
+    });
+});
+
+describe('MessageSchema.isRelayable', () => {
+    test('only relays messages meant for other peers', () => {
+        assert.ok(MessageSchema.isRelayable('signal'));
+        assert.ok(MessageSchema.isRelayable('relay'));
+        assert.ok(!MessageSchema.isRelayable('join-room'));
+        assert.ok(!MessageSchema.isRelayable('session-active'));
+    });
+});
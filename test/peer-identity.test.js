@@ -0,0 +1,69 @@
+/**
+ * drpl.co - Peer Identity tests
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PeerIdentity = require('../lib/peer-identity');
+
+describe('PeerIdentity', () => {
+    test('requires a secret', () => {
+        assert.throws(() => new PeerIdentity(), /secret is required/);
+    });
+
+    test('verifies the tokens it creates', () => {
+        const identity = new PeerIdentity('s3cret');
+        const { id, token } = identity.create();
+
+        assert.ok(PeerIdentity.isUUID(id));
+        assert.strictEqual(identity.verify(token), id);
+        assert.strictEqual(new PeerIdentity('s3cret').verify(token), id);
+    });
+
+    test('rejects forged and malformed tokens', () => {
+        const identity = new PeerIdentity('s3cret');
+        const { id, token } = identity.create();
+
+        assert.strictEqual(new PeerIdentity('other').verify(token), null);
+        assert.strictEqual(identity.verify(id), null);
+        assert.strictEqual(identity.verify(id + '.' + 'A'.repeat(43)), null);
+        assert.strictEqual(identity.verify('not-a-uuid.' + token.split('.')[1]), null);
+        assert.strictEqual(identity.verify(undefined), null);
+    });
+});
+
+describe('PeerIdentity.loadSecret', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drpl-identity-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('creates the secret once and reuses it', t => {
+        t.mock.method(console, 'log', () => {});
+        const file = path.join(dir, 'secret');
+
+        const secret = PeerIdentity.loadSecret(file);
+        assert.match(secret, /^[0-9a-f]{64}$/);
+        assert.strictEqual(PeerIdentity.loadSecret(file), secret);
+        assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+    });
+
+    test('reads a secret written by hand', () => {
+        const file = path.join(dir, 'manual');
+        fs.writeFileSync(file, '  hand-made secret\n');
+        assert.strictEqual(PeerIdentity.loadSecret(file), 'hand-made secret');
+    });
+
+    test('explains when the secret cannot be saved', () => {
+        assert.throws(() => PeerIdentity.loadSecret(path.join(dir, 'missing', 'secret')), /PEER_ID_SECRET/);
+    });
+});
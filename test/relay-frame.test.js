@@ -0,0 +1,44 @@
+/**
+ * drpl.co - Relay Frame tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const RelayFrame = require('../lib/relay-frame');
+
+describe('RelayFrame', () => {
+    const peerId = '0b8a3f6e-52d1-4d0c-9a57-3f3e8f1c2d4b';
+
+    test('round-trips the peer ID and payload', () => {
+        const payload = Buffer.from([0, 1, 2, 255]);
+        const frame = RelayFrame.decode(RelayFrame.encode(peerId, payload));
+
+        assert.strictEqual(frame.peerId, peerId);
+        assert.deepStrictEqual(frame.payload, payload);
+    });
+
+    test('puts the ID length in the first byte', () => {
+        const frame = RelayFrame.encode('abc', Buffer.from('data'));
+        assert.strictEqual(frame[0], 3);
+        assert.strictEqual(frame.toString('utf8', 1, 4), 'abc');
+        assert.strictEqual(frame.toString('utf8', 4), 'data');
+    });
+
+    test('allows an empty payload', () => {
+        const frame = RelayFrame.decode(RelayFrame.encode(peerId, Buffer.alloc(0)));
+        assert.strictEqual(frame.peerId, peerId);
+        assert.strictEqual(frame.payload.length, 0);
+    });
+
+    test('refuses IDs that do not fit in the header', () => {
+        assert.throws(() => RelayFrame.encode('x'.repeat(256), Buffer.alloc(0)), /too long/);
+    });
+
+    test('rejects malformed frames', () => {
+        assert.strictEqual(RelayFrame.decode(Buffer.alloc(0)), null);
+        assert.strictEqual(RelayFrame.decode(Buffer.from([0, 1, 2])), null);
+        assert.strictEqual(RelayFrame.decode(Buffer.from([10, 65, 66])), null);
+        assert.strictEqual(RelayFrame.decode('not a buffer'), null);
+    });
+});
@@ -0,0 +1,305 @@
+/**
+ * drpl.co - Room Store tests
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+
+const RoomStore = require('../lib/room-store');
+const createBroker = require('../lib/room-store/broker');
+
+// ======================================================================
+// HELPERS
+// ======================================================================
+
+/**
+ * Collect the messages a store receives
+ * @param {EventEmitter} store - Room store adapter
+ * @returns {Array<{message: Object, from: string}>} - Received messages, filled as they arrive
+ */
+function inbox(store) {
+    const received = [];
+    store.on('message', (message, from) => received.push({ message, from }));
+    return received;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {number} [timeout=3000] - Longest wait, in milliseconds
+ * @returns {Promise} - Resolves once the condition holds
+ */
+async function until(condition, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Start a broker on a free port, keeping track of its connections so it can be killed
+ * @param {number} [port=0] - Port to listen on
+ * @returns {Promise<Object>} - {server, port, kill}
+ */
+async function startBroker(port = 0) {
+    const server = createBroker();
+    const sockets = new Set();
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    server.listen(port, '127.0.0.1');
+    await once(server, 'listening');
+
+    return {
+        server,
+        port: server.address().port,
+        kill: async () => {
+            sockets.forEach(socket => socket.destroy());
+            server.close();
+            await once(server, 'close');
+        }
+    };
+}
+
+// ======================================================================
+// FACTORY
+// ======================================================================
+
+describe('RoomStore.create', () => {
+    test('keeps rooms in memory without a broker', () => {
+        assert.ok(RoomStore.create() instanceof RoomStore.MemoryRoomStore);
+    });
+
+    test('connects to a broker given as host:port', () => {
+        const store = RoomStore.create({ broker: '10.0.0.1:4000' });
+        assert.ok(store instanceof RoomStore.BrokerRoomStore);
+        assert.strictEqual(store._host, '10.0.0.1');
+        assert.strictEqual(store._port, 4000);
+    });
+});
+
+// ======================================================================
+// MEMORY STORE
+// ======================================================================
+
+describe('MemoryRoomStore', () => {
+    test('a store on its own talks to nobody', async () => {
+        const store = new RoomStore.MemoryRoomStore();
+        const received = inbox(store);
+        await store.start('a');
+
+        store.publish({ type: 'join' });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepStrictEqual(received, []);
+        assert.strictEqual(store.bufferedAmount, 0);
+    });
+
+    test('publishes to the other stores on the hub, in order', async () => {
+        const hub = new Map();
+        const a = new RoomStore.MemoryRoomStore({ hub });
+        const b = new RoomStore.MemoryRoomStore({ hub });
+        const c = new RoomStore.MemoryRoomStore({ hub });
+        const toA = inbox(a);
+        const toB = inbox(b);
+        const toC = inbox(c);
+        await Promise.all([a.start('a'), b.start('b'), c.start('c')]);
+
+        for (let i = 0; i < 5; i++) a.publish({ seq: i });
+        await until(() => toB.length === 5 && toC.length === 5);
+
+        assert.deepStrictEqual(toB.map(entry => entry.message.seq), [0, 1, 2, 3, 4]);
+        assert.deepStrictEqual(toC.map(entry => entry.message.seq), [0, 1, 2, 3, 4]);
+        assert.ok(toB.every(entry => entry.from === 'a'));
+        assert.deepStrictEqual(toA, []);
+    });
+
+    test('sends to a single store', async () => {
+        const hub = new Map();
+        const a = new RoomStore.MemoryRoomStore({ hub });
+        const b = new RoomStore.MemoryRoomStore({ hub });
+        const c = new RoomStore.MemoryRoomStore({ hub });
+        const toB = inbox(b);
+        const toC = inbox(c);
+        await Promise.all([a.start('a'), b.start('b'), c.start('c')]);
+
+        a.send('b', { type: 'relay' });
+        a.send('missing', { type: 'relay' });
+        await until(() => toB.length === 1);
+
+        assert.deepStrictEqual(toB, [{ message: { type: 'relay' }, from: 'a' }]);
+        assert.deepStrictEqual(toC, []);
+    });
+
+    test('delivers copies, not the sender\'s object', async () => {
+        const hub = new Map();
+        const a = new RoomStore.MemoryRoomStore({ hub });
+        const b = new RoomStore.MemoryRoomStore({ hub });
+        const toB = inbox(b);
+        await Promise.all([a.start('a'), b.start('b')]);
+
+        const message = { peer: { id: 'x' } };
+        a.publish(message);
+        message.peer.id = 'changed';
+        await until(() => toB.length === 1);
+
+        assert.strictEqual(toB[0].message.peer.id, 'x');
+    });
+
+    test('reports closed stores as down', async () => {
+        const hub = new Map();
+        const a = new RoomStore.MemoryRoomStore({ hub });
+        const b = new RoomStore.MemoryRoomStore({ hub });
+        await Promise.all([a.start('a'), b.start('b')]);
+
+        const down = once(b, 'instance-down');
+        a.close();
+
+        assert.deepStrictEqual(await down, ['a']);
+        assert.ok(!hub.has('a'));
+    });
+});
+
+// ======================================================================
+// BROKER STORE
+// ======================================================================
+
+describe('BrokerRoomStore', () => {
+    let broker;
+    const stores = [];
+
+    /**
+     * Connect a store to the broker
+     * @param {string} id - Instance ID
+     * @returns {Promise<BrokerRoomStore>} - Connected store
+     */
+    async function connect(id) {
+        const store = new RoomStore.BrokerRoomStore({ host: '127.0.0.1', port: broker.port });
+        stores.push(store);
+        await store.start(id);
+        return store;
+    }
+
+    before(async () => {
+        broker = await startBroker();
+    });
+
+    after(async () => {
+        stores.forEach(store => store.close());
+        await broker.kill();
+    });
+
+    test('publishes to the other instances, in order', async () => {
+        const a = await connect('pub-a');
+        const b = await connect('pub-b');
+        const toA = inbox(a);
+        const toB = inbox(b);
+
+        // Give the broker a moment to register both hellos
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        for (let i = 0; i < 100; i++) a.publish({ seq: i });
+        await until(() => toB.length === 100);
+
+        assert.deepStrictEqual(toB.map(entry => entry.message.seq), Array.from({ length: 100 }, (v, i) => i));
+        assert.ok(toB.every(entry => entry.from === 'pub-a'));
+        assert.deepStrictEqual(toA, []);
+    });
+
+    test('keeps the order of messages from both instances', async () => {
+        const a = await connect('order-a');
+        const b = await connect('order-b');
+        const toA = inbox(a);
+        const toB = inbox(b);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        for (let i = 0; i < 50; i++) {
+            a.publish({ seq: i });
+            b.send('order-a', { seq: i });
+        }
+        await until(() => toA.length === 50 && toB.length === 50);
+
+        const expected = Array.from({ length: 50 }, (v, i) => i);
+        assert.deepStrictEqual(toA.map(entry => entry.message.seq), expected);
+        assert.deepStrictEqual(toB.map(entry => entry.message.seq), expected);
+    });
+
+    test('sends to a single instance', async () => {
+        const a = await connect('send-a');
+        const b = await connect('send-b');
+        const c = await connect('send-c');
+        const toB = inbox(b);
+        const toC = inbox(c);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        a.send('send-b', { type: 'frame' });
+        await until(() => toB.length === 1);
+
+        assert.deepStrictEqual(toB, [{ message: { type: 'frame' }, from: 'send-a' }]);
+        assert.deepStrictEqual(toC, []);
+    });
+
+    test('reports instances that disconnect', async () => {
+        const a = await connect('down-a');
+        const b = await connect('down-b');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const down = once(b, 'instance-down');
+        a.close();
+
+        assert.deepStrictEqual(await down, ['down-a']);
+    });
+});
+
+describe('BrokerRoomStore reconnecting', () => {
+    test('start() finishes even if the broker is unreachable', async t => {
+        t.mock.method(console, 'error', () => {});
+        const { port, kill } = await startBroker();
+        await kill();
+
+        const store = new RoomStore.BrokerRoomStore({ host: '127.0.0.1', port });
+        const disconnected = once(store, 'disconnected');
+        await store.start('lonely');
+        await disconnected;
+        store.close();
+    });
+
+    test('reconnects after the broker restarts and drops messages while away', async t => {
+        t.mock.method(console, 'error', () => {});
+        let broker = await startBroker();
+        const port = broker.port;
+
+        const a = new RoomStore.BrokerRoomStore({ host: '127.0.0.1', port });
+        const b = new RoomStore.BrokerRoomStore({ host: '127.0.0.1', port });
+        const toB = inbox(b);
+        await Promise.all([a.start('re-a'), b.start('re-b')]);
+
+        try {
+            const disconnected = Promise.all([once(a, 'disconnected'), once(b, 'disconnected')]);
+            await broker.kill();
+            await disconnected;
+
+            // Nobody hears this; instances resend their state on 'ready' instead
+            a.publish({ seq: 'lost' });
+            assert.strictEqual(a.bufferedAmount, 0);
+
+            const ready = Promise.all([once(a, 'ready'), once(b, 'ready')]);
+            broker = await startBroker(port);
+            await ready;
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            a.publish({ seq: 'after' });
+            await until(() => toB.length === 1);
+
+            assert.deepStrictEqual(toB, [{ message: { seq: 'after' }, from: 're-a' }]);
+        } finally {
+            a.close();
+            b.close();
+            await broker.kill();
+        }
+    });
+});
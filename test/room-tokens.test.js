@@ -0,0 +1,40 @@
+/**
+ * drpl.co - Room Tokens tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const RoomTokens = require('../lib/room-tokens');
+
+describe('RoomTokens', () => {
+    const device = '6f1c2a3e-0b4d-4c5e-8f7a-9b0c1d2e3f40';
+    const other = '0a1b2c3d-4e5f-4a6b-8c7d-8e9f0a1b2c3d';
+
+    test('requires a secret', () => {
+        assert.throws(() => new RoomTokens(), /secret is required/);
+    });
+
+    test('names the room it was issued for', () => {
+        const tokens = new RoomTokens('s3cret');
+        assert.strictEqual(tokens.verify(tokens.issue('code:ABC123', device), device), 'code:ABC123');
+        assert.strictEqual(tokens.verify(tokens.issue('net:203.0.113.0/24', device), device), 'net:203.0.113.0/24');
+        assert.strictEqual(new RoomTokens('s3cret').verify(tokens.issue('code:ABC123', device), device), 'code:ABC123');
+    });
+
+    test('only works for the device it was issued to', () => {
+        const tokens = new RoomTokens('s3cret');
+        assert.strictEqual(tokens.verify(tokens.issue('code:ABC123', device), other), null);
+    });
+
+    test('rejects forged and malformed tokens', () => {
+        const tokens = new RoomTokens('s3cret');
+        const token = tokens.issue('code:ABC123', device);
+        const forged = Buffer.from('code:XYZ789').toString('base64url') + '.' + token.split('.')[1];
+
+        assert.strictEqual(new RoomTokens('other').verify(token, device), null);
+        assert.strictEqual(tokens.verify(forged, device), null);
+        assert.strictEqual(tokens.verify(token.split('.')[0], device), null);
+        assert.strictEqual(tokens.verify(undefined, device), null);
+    });
+});
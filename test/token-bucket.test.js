@@ -0,0 +1,65 @@
+/**
+ * drpl.co - Token Bucket tests
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const TokenBucket = require('../lib/token-bucket');
+
+describe('TokenBucket', () => {
+    let now;
+
+    beforeEach(t => {
+        now = 1000000;
+        t.mock.method(Date, 'now', () => now);
+    });
+
+    test('starts full and allows a burst', () => {
+        const bucket = new TokenBucket({ rate: 1, burst: 3 });
+        assert.ok(bucket.isFull());
+        assert.ok(bucket.take());
+        assert.ok(bucket.take());
+        assert.ok(bucket.take());
+        assert.ok(!bucket.take());
+    });
+
+    test('takes several tokens at once, or none', () => {
+        const bucket = new TokenBucket({ rate: 1, burst: 5 });
+        assert.ok(bucket.take(4));
+        assert.ok(!bucket.take(2));
+        assert.ok(bucket.take(1));
+    });
+
+    test('refills at the given rate', () => {
+        const bucket = new TokenBucket({ rate: 10, burst: 10 });
+        assert.ok(bucket.take(10));
+        assert.ok(!bucket.take());
+
+        now += 250;
+        assert.ok(bucket.take(2));
+        assert.ok(!bucket.take(1));
+
+        now += 100;
+        assert.ok(bucket.take(1));
+    });
+
+    test('never holds more than the burst size', () => {
+        const bucket = new TokenBucket({ rate: 100, burst: 5 });
+        assert.ok(bucket.take(5));
+
+        now += 60000;
+        assert.ok(bucket.isFull());
+        assert.ok(bucket.take(5));
+        assert.ok(!bucket.take(1));
+    });
+
+    test('is not full while tokens are missing', () => {
+        const bucket = new TokenBucket({ rate: 1, burst: 2 });
+        bucket.take();
+        assert.ok(!bucket.isFull());
+
+        now += 1000;
+        assert.ok(bucket.isFull());
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * drpl.co - Trusted Proxies tests
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const TrustedProxies = require('../lib/trusted-proxies');
+
+/**
+ * Build a request as seen by the server
+ * @param {string} remoteAddress - Socket address
+ * @param {string} [forwardedFor] - X-Forwarded-For header
+ * @returns {Object} - Request stub
+ */
+function request(remoteAddress, forwardedFor) {
+    return {
+        socket: { remoteAddress },
+        headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}
+    };
+}
+
+describe('TrustedProxies', () => {
+    let warnings;
+
+    beforeEach(t => {
+        warnings = [];
+        t.mock.method(console, 'warn', message => warnings.push(message));
+    });
+
+    test('uses the socket address without a header', () => {
+        const proxies = new TrustedProxies({ proxies: ['127.0.0.0/8'] });
+        assert.strictEqual(proxies.clientAddress(request('::ffff:203.0.113.7')), '203.0.113.7');
+    });
+
+    test('believes the header from a trusted proxy', () => {
+        const proxies = new TrustedProxies({ proxies: ['127.0.0.0/8'] });
+        assert.strictEqual(proxies.clientAddress(request('127.0.0.1', '203.0.113.7')), '203.0.113.7');
+    });
+
+    test('ignores the header from anyone else', () => {
+        const proxies = new TrustedProxies({ proxies: ['127.0.0.0/8'] });
+        assert.strictEqual(proxies.clientAddress(request('198.51.100.1', '203.0.113.7')), '198.51.100.1');
+        assert.strictEqual(warnings.length, 1);
+    });
+
+    test('skips trusted proxies from the right', () => {
+        const proxies = new TrustedProxies({ proxies: ['10.0.0.0/8', '127.0.0.1'] });
+        assert.strictEqual(
+            proxies.clientAddress(request('127.0.0.1', '1.1.1.1, 203.0.113.7, 10.0.0.2, 10.0.0.1')),
+            '203.0.113.7'
+        );
+    });
+
+    test('counts hops from the socket address', () => {
+        const proxies = new TrustedProxies({ proxies: ['127.0.0.1'], hops: 2 });
+        assert.strictEqual(
+            proxies.clientAddress(request('127.0.0.1', '1.1.1.1, 203.0.113.7, 198.51.100.9')),
+            '203.0.113.7'
+        );
+    });
+
+    test('ignores the header in hop mode when the socket is not a trusted proxy', () => {
+        const proxies = new TrustedProxies({ proxies: ['127.0.0.1'], hops: 1 });
+        assert.strictEqual(proxies.clientAddress(request('198.51.100.1', '203.0.113.7')), '198.51.100.1');
+    });
+
+    test('takes the leftmost entry when there are fewer hops than expected', () => {
+        const proxies = new TrustedProxies({ proxies: ['127.0.0.1'], hops: 3 });
+        assert.strictEqual(proxies.clientAddress(request('127.0.0.1', '203.0.113.7')), '203.0.113.7');
+        assert.strictEqual(warnings.length, 1);
+    });
+
+    test('falls back to the socket address for malformed headers', () => {
+        const proxies = new TrustedProxies({ proxies: ['127.0.0.1'] });
+        assert.strictEqual(proxies.clientAddress(request('127.0.0.1', 'not-an-ip')), '127.0.0.1');
+    });
+
+    test('throttles repeated warnings from the same source', () => {
+        const proxies = new TrustedProxies({ proxies: ['127.0.0.1'] });
+        proxies.clientAddress(request('198.51.100.1', '203.0.113.7'));
+        proxies.clientAddress(request('198.51.100.1', '203.0.113.8'));
+        proxies.clientAddress(request('198.51.100.2', '203.0.113.7'));
+        assert.strictEqual(warnings.length, 2);
+    });
+
+    test('matches IPv6 ranges', () => {
+        const proxies = new TrustedProxies({ proxies: ['fd00::/8'] });
+        assert.ok(proxies.isTrusted('fd12::1'));
+        assert.ok(!proxies.isTrusted('2001:db8::1'));
+        assert.strictEqual(proxies.clientAddress(request('fd12::1', '2001:db8::5')), '2001:db8::5');
+    });
+
+    test('refuses invalid proxy ranges', () => {
+        assert.throws(() => new TrustedProxies({ proxies: ['10.0.0.0/33'] }), /Invalid trusted proxy/);
+    });
+
+    test('refuses hops without trusted proxies', () => {
+        assert.throws(() => new TrustedProxies({ proxies: [], hops: 1 }), /require at least one trusted proxy/);
+    });
+});
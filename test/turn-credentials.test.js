@@ -0,0 +1,42 @@
+/**
+ * drpl.co - TURN Credentials tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const TurnCredentials = require('../lib/turn-credentials');
+
+describe('TurnCredentials', () => {
+    const urls = ['turn:turn.example.com:3478'];
+
+    test('is disabled without a secret or URLs', () => {
+        assert.ok(!new TurnCredentials().enabled);
+        assert.ok(!new TurnCredentials({ secret: 's3cret' }).enabled);
+        assert.ok(!new TurnCredentials({ urls: urls }).enabled);
+        assert.strictEqual(new TurnCredentials({ urls: urls }).issue('peer'), null);
+    });
+
+    test('issues credentials the TURN server can check', () => {
+        const turn = new TurnCredentials({ secret: 's3cret', urls: urls, ttl: 600 });
+        const before = Math.floor(Date.now() / 1000);
+        const server = turn.issue('peer-1');
+
+        const [expiry, peerId] = server.username.split(':');
+        assert.deepStrictEqual(server.urls, urls);
+        assert.strictEqual(peerId, 'peer-1');
+        assert.ok(Number(expiry) >= before + 600 && Number(expiry) <= before + 601);
+
+        const expected = crypto.createHmac('sha1', 's3cret').update(server.username).digest('base64');
+        assert.strictEqual(server.credential, expected);
+    });
+
+    test('defaults to credentials valid for a day', t => {
+        const now = 1700000000000;
+        t.mock.method(Date, 'now', () => now);
+
+        const server = new TurnCredentials({ secret: 's3cret', urls: urls }).issue('peer');
+        assert.strictEqual(server.username, `${now / 1000 + 86400}:peer`);
+    });
+});